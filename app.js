@@ -0,0 +1,79 @@
+const express = require('express');
+const cors = require('cors');
+const { getStorage, setStorage } = require('./storage');
+const { setRateLimitStore } = require('./rateLimit');
+const { setCacheStore } = require('./cache');
+const requestId = require('./middleware/requestId');
+const { limiters } = require('./middleware/rateLimit');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const authRoutes = require('./routes/auth.routes');
+const userRoutes = require('./routes/user.routes');
+const productRoutes = require('./routes/product.routes');
+const categoryRoutes = require('./routes/category.routes');
+const cartRoutes = require('./routes/cart.routes');
+const orderRoutes = require('./routes/order.routes');
+const reviewRoutes = require('./routes/review.routes');
+const couponRoutes = require('./routes/coupon.routes');
+const inventoryRoutes = require('./routes/inventory.routes');
+const wishlistRoutes = require('./routes/wishlist.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const adminRoutes = require('./routes/admin.routes');
+
+// Builds the Express app. It neither connects to MongoDB nor listens, so the
+// caller (server.js, or a test) decides both.
+// config.storage: image storage driver to use instead of the STORAGE_DRIVER one
+// config.rateLimitStore: rate limit counter store to use instead of the in-memory one
+// config.cacheStore: response cache store to use instead of the in-memory one
+function createApp(config = {}) {
+    if (config.storage) {
+        setStorage(config.storage);
+    }
+    if (config.rateLimitStore) {
+        setRateLimitStore(config.rateLimitStore);
+    }
+    if (config.cacheStore) {
+        setCacheStore(config.cacheStore);
+    }
+
+    const app = express();
+
+    // Behind a proxy req.ip is the proxy unless Express is told to trust it;
+    // TRUST_PROXY takes a hop count, "true", or a list of trusted addresses
+    const trustProxy = process.env.TRUST_PROXY;
+    if (trustProxy) {
+        const hops = Number(trustProxy);
+        if (trustProxy === 'true') app.set('trust proxy', true);
+        else app.set('trust proxy', Number.isInteger(hops) ? hops : trustProxy);
+    }
+
+    app.use(requestId);
+    app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+    app.use(express.json());
+
+    // Drivers that keep files themselves (e.g. local disk) need them served
+    const { staticMount } = getStorage();
+    if (staticMount) {
+        app.use(staticMount.route, express.static(staticMount.directory));
+    }
+
+    app.use('/api', limiters.api);
+    app.use('/api', authRoutes);
+    app.use('/api', userRoutes);
+    app.use('/api', productRoutes);
+    app.use('/api', categoryRoutes);
+    app.use('/api', cartRoutes);
+    app.use('/api', orderRoutes);
+    app.use('/api', reviewRoutes);
+    app.use('/api', couponRoutes);
+    app.use('/api', inventoryRoutes);
+    app.use('/api', wishlistRoutes);
+    app.use('/api', webhookRoutes);
+    app.use('/api', adminRoutes);
+
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,30 @@
+const cacheConfig = require('../config/cache');
+const createMemoryStore = require('./memory.store');
+
+// Every store implements:
+//   get(key)                              -> Promise<value, or undefined on a miss>
+//   set(key, value, { ttlMs, tags, since }) -> Promise; skips the write when one of
+//                                            the tags was invalidated at or after `since`
+//                                            (ms timestamp of when the value started being built),
+//                                            or when it can no longer tell
+//   invalidate(tags)                      -> Promise; drops every entry with any of the tags
+let store;
+
+// In-memory LRU store, created once per process
+const getCacheStore = () => {
+    if (!store) {
+        store = createMemoryStore({ maxEntries: cacheConfig.maxEntries });
+    }
+    return store;
+};
+
+// Lets callers swap in a shared store (e.g. Redis) or a fresh one in tests
+const setCacheStore = (cacheStore) => {
+    store = cacheStore;
+};
+
+module.exports = {
+    createMemoryStore,
+    getCacheStore,
+    setCacheStore
+};
@@ -0,0 +1,84 @@
+// Least-recently-used cache kept in this process. A Map iterates in insertion
+// order, so re-inserting an entry on every read keeps the oldest one first.
+function createMemoryStore({ maxEntries = 500, invalidationRetentionMs = 60 * 1000 } = {}) {
+    const entries = new Map();
+    const taggedKeys = new Map();
+    const invalidatedAt = new Map();
+    // Invalidation times are what `set` checks a value built meanwhile against.
+    // They are kept for invalidationRetentionMs; a value whose build started
+    // before the oldest time that may have been dropped can't be checked and
+    // is not stored.
+    let prunedBefore = 0;
+    let prunedAt = Date.now();
+
+    const pruneInvalidations = (now) => {
+        if (now - prunedAt < invalidationRetentionMs) return;
+        prunedAt = now;
+        prunedBefore = now - invalidationRetentionMs;
+        invalidatedAt.forEach((at, tag) => {
+            if (at < prunedBefore) invalidatedAt.delete(tag);
+        });
+    };
+
+    const removeKey = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entries.delete(key);
+        entry.tags.forEach((tag) => {
+            const keys = taggedKeys.get(tag);
+            if (!keys) return;
+            keys.delete(key);
+            if (!keys.size) taggedKeys.delete(tag);
+        });
+    };
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                removeKey(key);
+                return undefined;
+            }
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, { ttlMs, tags = [], since = 0 }) {
+            // A tag invalidated while the value was being built means it may already be stale
+            if (since < prunedBefore) return;
+            if (tags.some((tag) => invalidatedAt.has(tag) && invalidatedAt.get(tag) >= since)) return;
+
+            removeKey(key);
+            entries.set(key, { value, tags, expiresAt: Date.now() + ttlMs });
+            tags.forEach((tag) => {
+                if (!taggedKeys.has(tag)) taggedKeys.set(tag, new Set());
+                taggedKeys.get(tag).add(key);
+            });
+
+            while (entries.size > maxEntries) {
+                removeKey(entries.keys().next().value);
+            }
+        },
+
+        async invalidate(tags) {
+            const now = Date.now();
+            pruneInvalidations(now);
+            tags.forEach((tag) => {
+                invalidatedAt.set(tag, now);
+                [...(taggedKeys.get(tag) || [])].forEach(removeKey);
+            });
+        },
+
+        clear() {
+            entries.clear();
+            taggedKeys.clear();
+            invalidatedAt.clear();
+        }
+    };
+}
+
+module.exports = createMemoryStore;
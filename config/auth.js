@@ -0,0 +1,15 @@
+require('dotenv').config();
+
+if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set in the environment');
+}
+
+module.exports = {
+    jwtSecret: process.env.JWT_SECRET,
+    // Any value jsonwebtoken's expiresIn accepts, e.g. "15m" or "1h"
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    // Failed passwords in a row before the account is locked, and for how long
+    maxFailedLogins: parseInt(process.env.MAX_FAILED_LOGINS) || 5,
+    loginLockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+};
@@ -0,0 +1,13 @@
+require('dotenv').config();
+
+// Cache for the public catalogue reads. Writes to products and categories
+// clear the entries they affect; time-based changes such as a sale starting
+// only show up once an entry expires, so keep the TTL short.
+module.exports = {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    ttlMs: (parseInt(process.env.CACHE_TTL_SECONDS) || 60) * 1000,
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500,
+    // Admin dashboard statistics are only expired, not invalidated, so that
+    // polling the dashboard during busy checkouts doesn't rerun the aggregations
+    statsTtlMs: (parseInt(process.env.STATS_CACHE_SECONDS) || 30) * 1000,
+};
@@ -0,0 +1,46 @@
+require('dotenv').config();
+
+// Named renditions generated for every uploaded product image.
+// format: jpeg | png | webp | avif | auto (png when the source has transparency, jpeg otherwise)
+// fit: any sharp resize fit (cover, contain, inside, outside, fill)
+const DEFAULT_VARIANTS = {
+    thumb: { width: 200, height: 200, fit: 'cover', format: 'webp', quality: 70 },
+    card: { width: 480, height: 480, fit: 'inside', format: 'webp', quality: 75 },
+    detail: { width: 1024, height: 1024, fit: 'inside', format: 'auto', quality: 80 },
+    zoom: { width: 2048, height: 2048, fit: 'inside', format: 'avif', quality: 60 },
+};
+
+const FORMATS = ['jpeg', 'png', 'webp', 'avif', 'auto'];
+const FITS = ['cover', 'contain', 'inside', 'outside', 'fill'];
+
+// IMAGE_VARIANTS replaces the defaults with a JSON object of the same shape
+const variants = process.env.IMAGE_VARIANTS ? JSON.parse(process.env.IMAGE_VARIANTS) : DEFAULT_VARIANTS;
+
+Object.entries(variants).forEach(([name, variant]) => {
+    if (!Number.isInteger(variant.width) || variant.width <= 0
+        || !Number.isInteger(variant.height) || variant.height <= 0) {
+        throw new Error(`Image variant "${name}" needs a positive integer width and height`);
+    }
+    if (!FITS.includes(variant.fit)) {
+        throw new Error(`Image variant "${name}" has unknown fit "${variant.fit}"`);
+    }
+    if (!FORMATS.includes(variant.format)) {
+        throw new Error(`Image variant "${name}" has unknown format "${variant.format}"`);
+    }
+});
+
+// The variants mirrored into the url/thumbnail_url fields older clients read
+const primaryVariant = process.env.IMAGE_PRIMARY_VARIANT || 'detail';
+const thumbnailVariant = process.env.IMAGE_THUMBNAIL_VARIANT || 'thumb';
+
+[primaryVariant, thumbnailVariant].forEach((name) => {
+    if (!variants[name]) {
+        throw new Error(`Image variant "${name}" is used for legacy fields but is not configured`);
+    }
+});
+
+module.exports = {
+    variants,
+    primaryVariant,
+    thumbnailVariant,
+};
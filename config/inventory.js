@@ -0,0 +1,8 @@
+require('dotenv').config();
+
+const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+
+module.exports = {
+    // Low-stock threshold for products that don't set their own
+    defaultLowStockThreshold: Number.isNaN(threshold) ? 5 : threshold,
+};
@@ -0,0 +1,33 @@
+require('dotenv').config();
+
+const seconds = (name, fallback) => (parseInt(process.env[name]) || fallback) * 1000;
+const count = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+// Each limit allows `max` requests per `windowMs`, counted per client IP or per
+// logged-in user. RATE_LIMIT_ENABLED=false turns them all off.
+module.exports = {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // Every /api request
+    api: {
+        windowMs: seconds('RATE_LIMIT_API_WINDOW_SECONDS', 60),
+        max: count('RATE_LIMIT_API_MAX', 300),
+        keyBy: 'ip',
+    },
+    login: {
+        windowMs: seconds('RATE_LIMIT_LOGIN_WINDOW_SECONDS', 15 * 60),
+        max: count('RATE_LIMIT_LOGIN_MAX', 20),
+        keyBy: 'ip',
+    },
+    // Registration and token refresh
+    auth: {
+        windowMs: seconds('RATE_LIMIT_AUTH_WINDOW_SECONDS', 15 * 60),
+        max: count('RATE_LIMIT_AUTH_MAX', 50),
+        keyBy: 'ip',
+    },
+    // Routes that run uploaded files through sharp or the importer
+    upload: {
+        windowMs: seconds('RATE_LIMIT_UPLOAD_WINDOW_SECONDS', 10 * 60),
+        max: count('RATE_LIMIT_UPLOAD_MAX', 30),
+        keyBy: 'user',
+    },
+};
@@ -0,0 +1,18 @@
+require('dotenv').config();
+
+const count = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+// Deliveries are retried with exponential backoff: retryBaseMs after the first
+// failure, doubling each time up to maxRetryDelayMs, until maxAttempts is reached
+module.exports = {
+    timeoutMs: count('WEBHOOK_TIMEOUT_SECONDS', 10) * 1000,
+    maxAttempts: count('WEBHOOK_MAX_ATTEMPTS', 8),
+    retryBaseMs: count('WEBHOOK_RETRY_BASE_SECONDS', 30) * 1000,
+    maxRetryDelayMs: count('WEBHOOK_MAX_RETRY_DELAY_SECONDS', 6 * 60 * 60) * 1000,
+    // How often the worker looks for due deliveries and how many it sends per run
+    pollIntervalMs: count('WEBHOOK_POLL_SECONDS', 5) * 1000,
+    batchSize: count('WEBHOOK_BATCH_SIZE', 20),
+    // Endpoints on loopback or private addresses are refused unless this is
+    // set, e.g. for a receiver running next to a development server
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true',
+};
@@ -0,0 +1,52 @@
+const AuditLog = require('../models/auditLog');
+const { parsePerPage } = require('../utils/pagination');
+
+// Helper shared by the audit listing and the product history view
+async function sendAuditPage(req, res, filter) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+
+    const [totalEntries, entries] = await Promise.all([
+        AuditLog.countDocuments(filter),
+        AuditLog.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('user_id', 'email')
+    ]);
+
+    res.json({
+        success: true,
+        message: 'Audit entries fetched successfully',
+        currentPage: page,
+        totalPages: Math.ceil(totalEntries / limit),
+        totalEntries: totalEntries,
+        entries: entries
+    });
+}
+
+// Admin: search the audit log
+async function listAuditLog(req, res) {
+    const filter = {};
+    if (req.query.entity) filter.entity = req.query.entity;
+    if (req.query.entityId) filter.entity_id = req.query.entityId;
+    if (req.query.user) filter.user_id = req.query.user;
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.from || req.query.to) {
+        filter.createdAt = {};
+        if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+        if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    await sendAuditPage(req, res, filter);
+}
+
+// Admin: change history of one product, newest first
+async function getProductHistory(req, res) {
+    await sendAuditPage(req, res, { entity: 'product', entity_id: req.params.id });
+}
+
+module.exports = {
+    listAuditLog,
+    getProductHistory
+};
@@ -0,0 +1,148 @@
+const RefreshToken = require('../models/refreshToken');
+const User = require('../models/user');
+const authConfig = require('../config/auth');
+const { issueAuthTokens } = require('../utils/authTokens');
+const { BadRequestError, AuthenticationError, ConflictError, AccountLockedError } = require('../utils/errors');
+
+const accountLocked = (retryAfter) => new AccountLockedError(
+    'Account temporarily locked after too many failed logins, please try again later',
+    retryAfter
+);
+
+//register
+async function register(req, res) {
+    const { email, password } = req.body;
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+        throw new ConflictError('Email is already registered', { email: 'Email is already registered' });
+    }
+
+    // Self-registration always creates shoppers; admins are promoted separately
+    const user = new User({ email, password, role: 'customer' });
+    try {
+        await user.save();
+    } catch (error) {
+        // Two registrations for the same email can both pass the check above
+        if (error.code === 11000) {
+            throw new ConflictError('Email is already registered', { email: 'Email is already registered' });
+        }
+        throw error;
+    }
+
+    const { token, refreshToken } = await issueAuthTokens(user);
+    res.status(201).json({
+        success: true,
+        message: 'Registration successful',
+        token,
+        refreshToken,
+        user: {
+            id: user._id,
+            email: user.email,
+            role: user.role
+        }
+    });
+}
+
+//login
+async function login(req, res) {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // A locked account is refused before the password is even checked
+    const lockedFor = user ? user.lockSecondsRemaining() : 0;
+    if (lockedFor > 0) {
+        throw accountLocked(lockedFor);
+    }
+
+    if (!user || !(await user.comparePassword(password))) {
+        if (user) {
+            const lockedNow = await user.registerFailedLogin(authConfig.maxFailedLogins, authConfig.loginLockMinutes);
+            if (lockedNow > 0) {
+                throw accountLocked(lockedNow);
+            }
+        }
+        throw new BadRequestError('Invalid email or password');
+    }
+
+    if (user.failed_login_attempts > 0 || user.locked_until) {
+        await user.clearFailedLogins();
+    }
+
+    // Hash passwords still stored in plaintext now that we know them
+    if (user.hasLegacyPassword()) {
+        user.password = password;
+        await user.save();
+    }
+
+    const { token, refreshToken } = await issueAuthTokens(user);
+    res.json({ 
+        success: true,
+        message: 'Login successful',
+        token,
+        refreshToken
+     });
+}
+
+//exchange a refresh token for a new token pair
+async function refresh(req, res) {
+    const tokenHash = RefreshToken.hash(req.body.refreshToken);
+
+    // Revoke atomically so two concurrent refreshes cannot both succeed
+    const stored = await RefreshToken.findOneAndUpdate(
+        { token_hash: tokenHash, revoked_at: null },
+        { $set: { revoked_at: new Date() } }
+    );
+
+    if (!stored) {
+        const reused = await RefreshToken.findOne({ token_hash: tokenHash });
+        if (reused) {
+            // A rotated token came back: assume it leaked and end the session
+            await RefreshToken.revokeFamily(reused.family);
+            throw new AuthenticationError('Refresh token reuse detected, please log in again');
+        }
+        throw new AuthenticationError('Invalid refresh token');
+    }
+
+    if (stored.expires_at <= new Date()) {
+        throw new AuthenticationError('Refresh token expired, please log in again');
+    }
+
+    const user = await User.findById(stored.user_id);
+    if (!user) {
+        throw new AuthenticationError('Invalid refresh token');
+    }
+
+    const { token, refreshToken } = await issueAuthTokens(user, stored.family);
+    stored.replaced_by = RefreshToken.hash(refreshToken);
+    await stored.save();
+
+    res.json({
+        success: true,
+        message: 'Token refreshed',
+        token,
+        refreshToken
+    });
+}
+
+//logout
+async function logout(req, res) {
+    const stored = await RefreshToken.findOne({ token_hash: RefreshToken.hash(req.body.refreshToken) });
+    if (stored) {
+        await RefreshToken.revokeFamily(stored.family);
+    }
+
+    // Respond the same either way so the endpoint can't be used to probe tokens
+    res.json({
+        success: true,
+        message: 'Logged out successfully'
+    });
+}
+
+module.exports = {
+    register,
+    login,
+    refresh,
+    logout
+};
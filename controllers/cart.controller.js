@@ -0,0 +1,115 @@
+const Cart = require('../models/cart');
+const Product = require('../models/product');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Helper to build the stock error used by the cart routes
+function insufficientStock(product, available) {
+    return new ConflictError(
+        `Only ${available} of ${product.name} left in stock`,
+        { quantity: `Only ${available} available` },
+        { availableQuantity: available }
+    );
+}
+
+// Get current user's cart
+async function getCart(req, res) {
+    const cart = await Cart.findOrCreate(req.user.userId);
+    res.json({
+        success: true,
+        message: 'Cart fetched successfully',
+        cart: await cart.toSummary()
+    });
+}
+
+// Add an item to the cart, or increase its quantity if already there
+async function addItem(req, res) {
+    const product = await Product.findById(req.body.product_id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const cart = await Cart.findOrCreate(req.user.userId);
+    const existing = cart.findItem(product._id);
+    const quantity = (existing ? existing.quantity : 0) + (req.body.quantity || 1);
+
+    if (quantity > product.quantity) {
+        throw insufficientStock(product, product.quantity);
+    }
+
+    if (existing) {
+        existing.quantity = quantity;
+        existing.name = product.name;
+    } else {
+        cart.items.push({ product_id: product._id, quantity, name: product.name });
+    }
+
+    await cart.save();
+    res.status(201).json({
+        success: true,
+        message: 'Item added to cart',
+        cart: await cart.toSummary()
+    });
+}
+
+// Set the quantity of an item already in the cart
+async function updateItem(req, res) {
+    const cart = await Cart.findOrCreate(req.user.userId);
+    const item = cart.findItem(req.params.productId);
+    if (!item) {
+        throw new NotFoundError('Item not found in cart');
+    }
+
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+        throw new ConflictError('Product is no longer available', { product_id: 'Product is no longer available' });
+    }
+
+    if (req.body.quantity > product.quantity) {
+        throw insufficientStock(product, product.quantity);
+    }
+
+    item.quantity = req.body.quantity;
+    await cart.save();
+    res.json({
+        success: true,
+        message: 'Cart item updated',
+        cart: await cart.toSummary()
+    });
+}
+
+// Remove an item from the cart
+async function removeItem(req, res) {
+    const cart = await Cart.findOrCreate(req.user.userId);
+    const item = cart.findItem(req.params.productId);
+    if (!item) {
+        throw new NotFoundError('Item not found in cart');
+    }
+
+    cart.items.pull(item);
+    await cart.save();
+    res.json({
+        success: true,
+        message: 'Item removed from cart',
+        cart: await cart.toSummary()
+    });
+}
+
+// Empty the cart
+async function clearCart(req, res) {
+    const cart = await Cart.findOrCreate(req.user.userId);
+    cart.items = [];
+    await cart.save();
+    res.json({
+        success: true,
+        message: 'Cart cleared',
+        cart: await cart.toSummary()
+    });
+}
+
+module.exports = {
+    getCart,
+    addItem,
+    updateItem,
+    removeItem,
+    clearCart
+};
@@ -0,0 +1,299 @@
+const Category = require('../models/category');
+const Product = require('../models/product');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const {
+    parsePerPage,
+    decodeCursor,
+    cursorQuery,
+    buildCursorPage
+} = require('../utils/pagination');
+
+// Helper to build the conflict error for a taken category name.
+// Names stay reserved while a category sits in the trash.
+function categoryNameConflict(name, existing) {
+    return new ConflictError('Category name already exists', {
+        name: existing && existing.deleted_at
+            ? `A deleted category named "${name}" is in the trash; restore it instead`
+            : `A category named "${name}" already exists`
+    });
+}
+
+//get all category
+async function listCategories(req, res) {
+    const useCursor = req.query.pagination === 'cursor' || req.query.cursor !== undefined;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+    const sortField = req.query.sortField || 'name';
+    const sortOrder = req.query.sortOrder === 'desc' ? -1 : 1;
+    const filterName = req.query.name;
+    const filterParent = req.query.parent;
+
+    const query = filterName ? { name: { $regex: filterName, $options: 'i' } } : {};
+
+    // ?parent=root lists top-level categories, ?parent=<id> lists its children
+    if (filterParent) {
+        query.parent_id = filterParent === 'root' ? null : filterParent;
+    }
+
+    if (useCursor) {
+        let cursor = null;
+        if (req.query.cursor) {
+            cursor = decodeCursor(req.query.cursor);
+            if (!cursor || cursor.field !== sortField || cursor.order !== sortOrder) {
+                throw new ValidationError({ cursor: 'Cursor is invalid or belongs to a different sort' });
+            }
+        }
+
+        const { filter, sort } = cursorQuery({ field: sortField, order: sortOrder, cursor });
+        const rows = await Category.find({ $and: [query, filter] })
+            .select(`name description parent_id ${sortField}`)
+            .sort(sort)
+            .limit(limit + 1);
+
+        const pageRows = buildCursorPage(rows, {
+            field: sortField,
+            order: sortOrder,
+            limit,
+            cursor,
+            getValue: (row) => (row.get(sortField) === undefined ? null : row.get(sortField))
+        });
+
+        return res.json({
+            success: true,
+            count: pageRows.rows.length,
+            pagination: 'cursor',
+            nextCursor: pageRows.nextCursor,
+            prevCursor: pageRows.prevCursor,
+            categories: pageRows.rows
+        });
+    }
+
+    const totalCategories = await Category.countDocuments(query);
+
+    const categories = await Category.find(query)
+        .select('name description parent_id') // Add any other fields you want to include
+        .sort({ [sortField]: sortOrder, _id: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    res.json({
+        success: true,
+        count: categories.length,
+        totalCategories: totalCategories,
+        totalPages: Math.ceil(totalCategories / limit),
+        currentPage: page,
+        categories: categories
+    });
+}
+
+//get the nested category tree
+async function getCategoryTree(req, res) {
+    const categories = await Category.find()
+        .select('name description parent_id')
+        .sort({ name: 1 })
+        .lean();
+
+    res.json({
+        success: true,
+        message: 'Category tree fetched successfully',
+        categories: Category.buildTree(categories)
+    });
+}
+
+// Create a category
+async function createCategory(req, res) {
+    const existing = await Category.findOne({ name: req.body.name }).setOptions({ withDeleted: true });
+    if (existing) {
+        throw categoryNameConflict(req.body.name, existing);
+    }
+
+    const category = new Category({
+        name: req.body.name,
+        description: req.body.description,
+        parent_id: req.body.parent_id || null
+    });
+
+    try {
+        await category.save();
+    } catch (error) {
+        // Unique index can still fire if two requests race past the check above
+        if (error.code === 11000) throw categoryNameConflict(req.body.name);
+        throw error;
+    }
+    await recordAudit(req, { entity: 'category', action: 'create', after: category });
+    res.status(201).json({
+        success: true,
+        message: 'Category created successfully',
+        category: category
+    });
+}
+
+// Update a category; parent_id moves it within the tree
+async function updateCategory(req, res) {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+        throw new NotFoundError('Category not found');
+    }
+
+    const before = auditSnapshot(category);
+
+    if (req.body.name !== undefined && req.body.name !== category.name) {
+        const existing = await Category.findOne({ name: req.body.name }).setOptions({ withDeleted: true });
+        if (existing) {
+            throw categoryNameConflict(req.body.name, existing);
+        }
+        category.name = req.body.name;
+    }
+    if (req.body.description !== undefined) category.description = req.body.description;
+
+    // parent_id: null moves the category back to the top level
+    if (req.body.parent_id !== undefined) {
+        const parentId = req.body.parent_id || null;
+        if (parentId && await Category.wouldCreateCycle(category._id, parentId)) {
+            throw new ValidationError(
+                { parent_id: 'A category cannot be moved under itself or one of its descendants' }
+            );
+        }
+        category.parent_id = parentId;
+    }
+
+    try {
+        await category.save();
+    } catch (error) {
+        if (error.code === 11000) throw categoryNameConflict(req.body.name);
+        throw error;
+    }
+    await recordAudit(req, { entity: 'category', action: 'update', before, after: category });
+    res.json({
+        success: true,
+        message: 'Category updated successfully',
+        category: category
+    });
+}
+
+// Soft-delete a category.
+// Products still pointing at the category block the delete unless
+// ?reassignTo=<categoryId> is given, in which case they are moved first.
+async function deleteCategory(req, res) {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+        throw new NotFoundError('Category not found');
+    }
+
+    const before = auditSnapshot(category);
+
+    const reassignTo = req.query.reassignTo;
+    // Trashed products count too, so they can't be restored into a deleted category
+    const productCount = await Product.countDocuments({ category_id: category._id })
+        .setOptions({ withDeleted: true });
+
+    if (productCount > 0) {
+        if (!reassignTo) {
+            throw new ConflictError(
+                `Category is used by ${productCount} product(s)`,
+                { reassignTo: 'Provide a category to reassign the products to' },
+                { productCount }
+            );
+        }
+
+        if (reassignTo === String(category._id)) {
+            throw new ValidationError({ reassignTo: 'Cannot reassign products to the category being deleted' });
+        }
+
+        const target = await Category.findById(reassignTo);
+        if (!target) {
+            throw new ValidationError({ reassignTo: 'Reassignment category not found' });
+        }
+
+        const reassigned = await Product.find({ category_id: category._id })
+            .select('_id')
+            .setOptions({ withDeleted: true });
+        await Product.updateMany(
+            { category_id: category._id },
+            { $set: { category_id: target._id } }
+        );
+        await recordAudit(req, reassigned.map((product) => ({
+            entity: 'product',
+            entityId: product._id,
+            action: 'update',
+            changes: [{ field: 'category_id', before: String(category._id), after: String(target._id) }]
+        })));
+    }
+
+    // Child categories move up to the deleted category's parent
+    const children = await Category.find({ parent_id: category._id }).select('_id');
+    const { modifiedCount: movedChildren } = await Category.updateMany(
+        { parent_id: category._id },
+        { $set: { parent_id: category.parent_id || null } }
+    );
+    await recordAudit(req, children.map((child) => ({
+        entity: 'category',
+        entityId: child._id,
+        action: 'update',
+        changes: [{
+            field: 'parent_id',
+            before: String(category._id),
+            after: category.parent_id ? String(category.parent_id) : null
+        }]
+    })));
+
+    await category.softDelete(req.user.userId);
+    await recordAudit(req, { entity: 'category', action: 'delete', before, after: category });
+    res.json({
+        success: true,
+        message: 'Category moved to trash',
+        reassignedProducts: productCount,
+        movedChildren: movedChildren
+    });
+}
+
+// Get one category
+async function getCategory(req, res) {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+        throw new NotFoundError('Category not found');
+    }
+
+    const productCount = await Product.countDocuments({ category_id: category._id });
+    res.json({
+        success: true,
+        message: 'Category fetched successfully',
+        category: category,
+        productCount: productCount
+    });
+}
+
+// Admin: bring a category back from the trash. Its children were moved up
+// when it was deleted and stay where they are.
+async function restoreCategory(req, res) {
+    const category = await Category.findOne({ _id: req.params.id, deleted_at: { $ne: null } });
+    if (!category) {
+        throw new NotFoundError('Category not found in trash');
+    }
+
+    const before = auditSnapshot(category);
+
+    // A parent that is gone (or itself trashed) leaves the category at the top level
+    if (category.parent_id && !(await Category.exists({ _id: category.parent_id }))) {
+        category.parent_id = null;
+    }
+
+    await category.restore();
+    await recordAudit(req, { entity: 'category', action: 'restore', before, after: category });
+    res.json({
+        success: true,
+        message: 'Category restored successfully',
+        category: category
+    });
+}
+
+module.exports = {
+    listCategories,
+    getCategoryTree,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    getCategory,
+    restoreCategory
+};
@@ -0,0 +1,127 @@
+const Coupon = require('../models/coupon');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { parsePerPage } = require('../utils/pagination');
+
+// Request body (camelCase) to coupon fields, only for the keys that were sent
+const COUPON_FIELDS = {
+    code: 'code',
+    description: 'description',
+    type: 'type',
+    value: 'value',
+    maxDiscount: 'max_discount',
+    minOrderValue: 'min_order_value',
+    productIds: 'product_ids',
+    categoryIds: 'category_ids',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    active: 'active',
+    usageLimit: 'usage_limit',
+    usageLimitPerUser: 'usage_limit_per_user'
+};
+
+function applyCouponFields(coupon, body) {
+    Object.entries(COUPON_FIELDS).forEach(([key, field]) => {
+        if (body[key] !== undefined) coupon[field] = body[key];
+    });
+}
+
+const codeTaken = (code) => new ConflictError(
+    `Coupon code ${code} already exists`,
+    { code: 'Coupon code already exists' }
+);
+
+// Saves the coupon, turning a duplicate code into a 409
+async function saveCoupon(coupon) {
+    try {
+        await coupon.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw codeTaken(coupon.code);
+        }
+        throw error;
+    }
+}
+
+// Admin: list coupons
+async function listCoupons(req, res) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    if (req.query.code) filter.code = req.query.code.trim().toUpperCase();
+
+    const totalCoupons = await Coupon.countDocuments(filter);
+    const coupons = await Coupon.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    res.json({
+        success: true,
+        message: 'Coupons fetched successfully',
+        currentPage: page,
+        totalPages: Math.ceil(totalCoupons / limit),
+        totalCoupons: totalCoupons,
+        coupons: coupons
+    });
+}
+
+// Admin: create a coupon
+async function createCoupon(req, res) {
+    const coupon = new Coupon();
+    applyCouponFields(coupon, req.body);
+
+    if (await Coupon.exists({ code: coupon.code })) {
+        throw codeTaken(coupon.code);
+    }
+    await saveCoupon(coupon);
+    await recordAudit(req, { entity: 'coupon', action: 'create', after: coupon });
+
+    res.status(201).json({
+        success: true,
+        message: 'Coupon created successfully',
+        coupon: coupon
+    });
+}
+
+// Admin: update a coupon; times_used is left alone
+async function updateCoupon(req, res) {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+        throw new NotFoundError('Coupon not found');
+    }
+
+    const before = auditSnapshot(coupon);
+    applyCouponFields(coupon, req.body);
+    await saveCoupon(coupon);
+    await recordAudit(req, { entity: 'coupon', action: 'update', before, after: coupon });
+
+    res.json({
+        success: true,
+        message: 'Coupon updated successfully',
+        coupon: coupon
+    });
+}
+
+// Admin: delete a coupon. Orders keep the code and amount they were given.
+async function deleteCoupon(req, res) {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+        throw new NotFoundError('Coupon not found');
+    }
+    await recordAudit(req, { entity: 'coupon', action: 'delete', before: coupon });
+
+    res.json({
+        success: true,
+        message: 'Coupon deleted successfully'
+    });
+}
+
+module.exports = {
+    listCoupons,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+};
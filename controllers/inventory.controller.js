@@ -0,0 +1,247 @@
+const Product = require('../models/product');
+const StockMovement = require('../models/stockMovement');
+const inventoryConfig = require('../config/inventory');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { parsePerPage } = require('../utils/pagination');
+const { auditSnapshot, diffSnapshots, recordAudit } = require('../utils/audit');
+const { isLowStockExpression } = require('../utils/inventory');
+const { queueWebhookEvent } = require('../utils/webhooks');
+
+// The stock fields of a product, for audit entries of changes that are made
+// with atomic updates instead of a document save
+const stockFields = (product) => ({
+    quantity: product.quantity,
+    variants: product.variants.map((variant) => ({ sku: variant.sku, quantity: variant.quantity })),
+    low_stock_threshold: product.low_stock_threshold
+});
+
+// Audit entry for an inventory change to a product
+const recordStockAudit = (req, before, after) => recordAudit(req, {
+    entity: 'product',
+    action: 'update',
+    entityId: after._id,
+    changes: diffSnapshots(stockFields(before), stockFields(after))
+});
+
+// Applies a stock change from the admin endpoints and records it
+async function changeStock(req, { type, delta, reason }) {
+    const product = await Product.findById(req.params.productId)
+        .select('quantity variants.sku variants.quantity low_stock_threshold');
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const sku = req.body.sku || null;
+    if (sku && !product.variants.some((variant) => variant.sku === sku)) {
+        throw new BadRequestError(`Product has no variant ${sku}`, { sku: 'Unknown SKU for this product' });
+    }
+    if (!sku && product.variants.length) {
+        throw new BadRequestError('Product has variants; pass the SKU to change', { sku: 'SKU is required' });
+    }
+
+    const updated = await Product.adjustStock(product._id, delta, sku);
+    if (!updated) {
+        const current = await Product.findById(product._id).select('quantity variants.sku variants.quantity');
+        const variant = sku && current ? current.variants.find((entry) => entry.sku === sku) : null;
+        const available = variant ? variant.quantity : (current ? current.quantity : 0);
+        throw new ConflictError(
+            `Only ${available} in stock`,
+            { delta: `Stock cannot go below zero (${available} in stock)` },
+            { availableQuantity: available }
+        );
+    }
+
+    const movement = {
+        product_id: updated._id,
+        sku,
+        type,
+        delta,
+        quantity_after: updated.quantity,
+        reason,
+        reference: req.body.reference,
+        user_id: req.user.userId
+    };
+    await StockMovement.record(movement);
+    await recordStockAudit(req, product, updated);
+    return { product: updated, movement };
+}
+
+// Admin: book in received stock
+async function receiveStock(req, res) {
+    const { product, movement } = await changeStock(req, {
+        type: 'receipt',
+        delta: req.body.quantity,
+        reason: req.body.reason
+    });
+
+    res.json({
+        success: true,
+        message: 'Stock received successfully',
+        quantity: product.quantity,
+        movement: movement
+    });
+}
+
+// Admin: correct stock up or down, e.g. after a count or for damaged goods
+async function adjustStock(req, res) {
+    const { product, movement } = await changeStock(req, {
+        type: 'adjustment',
+        delta: req.body.delta,
+        reason: req.body.reason
+    });
+
+    res.json({
+        success: true,
+        message: 'Stock adjusted successfully',
+        quantity: product.quantity,
+        movement: movement
+    });
+}
+
+// Admin: search the stock ledger
+async function listMovements(req, res) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+
+    const filter = {};
+    if (req.query.product) filter.product_id = req.query.product;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.user) filter.user_id = req.query.user;
+    if (req.query.from || req.query.to) {
+        filter.createdAt = {};
+        if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+        if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const totalMovements = await StockMovement.countDocuments(filter);
+    const movements = await StockMovement.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('product_id', 'name')
+        .populate('user_id', 'email');
+
+    res.json({
+        success: true,
+        message: 'Stock movements fetched successfully',
+        currentPage: page,
+        totalPages: Math.ceil(totalMovements / limit),
+        totalMovements: totalMovements,
+        movements: movements
+    });
+}
+
+// Admin: products at or below their low-stock threshold, emptiest first
+async function listLowStock(req, res) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+    const defaultThreshold = inventoryConfig.defaultLowStockThreshold;
+
+    const filter = { $expr: isLowStockExpression() };
+    if (req.query.category) filter.category_id = req.query.category;
+
+    const totalProducts = await Product.countDocuments(filter);
+    const products = await Product.find(filter)
+        .select('name thumbnail_image quantity low_stock_threshold category_id variants.sku variants.quantity')
+        .sort({ quantity: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('category_id', 'name');
+
+    res.json({
+        success: true,
+        message: 'Low-stock products fetched successfully',
+        currentPage: page,
+        totalPages: Math.ceil(totalProducts / limit),
+        totalProducts: totalProducts,
+        defaultThreshold: defaultThreshold,
+        products: products.map((product) => ({
+            ...product.toJSON(),
+            threshold: product.low_stock_threshold !== null ? product.low_stock_threshold : defaultThreshold
+        }))
+    });
+}
+
+// Admin: set a product's low-stock threshold, or null for the default
+async function setThreshold(req, res) {
+    const before = await Product.findById(req.params.productId).select('quantity variants.sku variants.quantity low_stock_threshold');
+    if (!before) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const product = await Product.findByIdAndUpdate(
+        req.params.productId,
+        { $set: { low_stock_threshold: req.body.threshold } },
+        { new: true }
+    ).select('name quantity variants.sku variants.quantity low_stock_threshold');
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+    await recordStockAudit(req, before, product);
+
+    res.json({
+        success: true,
+        message: 'Low-stock threshold updated successfully',
+        product: product
+    });
+}
+
+// Admin: reset a product's quantity to the sum of its ledger. Products with
+// variants are refused: their total is derived from the variant quantities.
+// The reset is saved like any other product edit (audit entry, cache
+// invalidation) and announced to webhooks, but adds no movement, since the
+// ledger is what the quantity now matches.
+async function rebuildStock(req, res) {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+    if (product.variants.length) {
+        throw new ConflictError(
+            'Stock of a product with variants is the sum of its variants and cannot be rebuilt',
+            { productId: 'Product has variants' }
+        );
+    }
+
+    const balance = await StockMovement.balance(product._id);
+    if (!balance.movements) {
+        throw new ConflictError(
+            'No stock movements recorded for this product; seed the ledger first',
+            { productId: 'Product has no stock movements' }
+        );
+    }
+
+    const previousQuantity = product.quantity;
+    if (previousQuantity !== balance.quantity) {
+        const before = auditSnapshot(product);
+        product.quantity = balance.quantity;
+        await product.save();
+        await recordAudit(req, { entity: 'product', action: 'update', before, after: product });
+        await queueWebhookEvent('product.stock_changed', {
+            product_id: String(product._id),
+            quantity: product.quantity,
+            movements: [],
+            reason: 'Rebuilt from the stock ledger'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: previousQuantity === balance.quantity
+            ? 'Stock already matches the ledger'
+            : 'Stock rebuilt from the ledger',
+        previousQuantity: previousQuantity,
+        quantity: balance.quantity,
+        drift: previousQuantity - balance.quantity,
+        movements: balance.movements
+    });
+}
+
+module.exports = {
+    receiveStock,
+    adjustStock,
+    listMovements,
+    listLowStock,
+    setThreshold,
+    rebuildStock
+};
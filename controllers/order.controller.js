@@ -0,0 +1,248 @@
+const Coupon = require('../models/coupon');
+const Order = require('../models/order');
+const Product = require('../models/product');
+const StockMovement = require('../models/stockMovement');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { parsePerPage } = require('../utils/pagination');
+const { COUPON_MESSAGES, buildQuote } = require('../utils/pricing');
+
+// `failed` is { product_id, name, available } for the line that can't be filled
+const outOfStock = (failed) => new ConflictError(
+    failed.name
+        ? `Only ${failed.available} of ${failed.name} left in stock`
+        : 'Product not found',
+    { items: `Only ${failed.available} available for product ${failed.product_id}` },
+    { productId: failed.product_id, availableQuantity: failed.available }
+);
+
+// Checkout: price the basket, reserve stock and create a pending order
+async function checkout(req, res) {
+    const { quote, coupon } = await buildQuote({
+        items: req.body.items,
+        couponCode: req.body.couponCode,
+        userId: req.user.userId
+    });
+
+    // Unlike a quote, checkout refuses to go ahead without a coupon that was asked for
+    if (quote.rejectedDiscounts.length) {
+        const [rejection] = quote.rejectedDiscounts;
+        throw new BadRequestError(rejection.message, { couponCode: rejection.message }, { reason: rejection.reason });
+    }
+
+    const withoutSku = quote.items.find((line) => line.status === 'sku_required');
+    if (withoutSku) {
+        throw new BadRequestError(
+            `Choose a variant of ${withoutSku.name}`,
+            { items: `A SKU is required for product ${withoutSku.product_id}` },
+            { productId: withoutSku.product_id }
+        );
+    }
+
+    const unavailable = quote.items.find((line) => line.status !== 'ok');
+    if (unavailable) {
+        throw outOfStock({
+            product_id: unavailable.product_id,
+            name: unavailable.name,
+            available: unavailable.available_quantity || 0
+        });
+    }
+
+    // Stock may have moved since the quote; reserving is what settles it
+    const lines = quote.items.map((line) => ({ product_id: line.product_id, sku: line.sku, quantity: line.quantity }));
+    const reservation = await Product.reserveStock(lines);
+    if (!reservation.success) {
+        throw outOfStock(reservation.failed);
+    }
+
+    if (coupon) {
+        const reason = await Coupon.redeem(coupon, req.user.userId);
+        if (reason) {
+            await Product.releaseStock(lines);
+            throw new BadRequestError(COUPON_MESSAGES[reason], { couponCode: COUPON_MESSAGES[reason] }, { reason });
+        }
+    }
+
+    const items = quote.items.map((line) => ({
+        product_id: line.product_id,
+        sku: line.sku,
+        name: line.name,
+        price: line.unit_price,
+        regular_price: line.regular_price,
+        thumbnail_image: line.thumbnail_image,
+        quantity: line.quantity,
+        discount: line.discount,
+        line_total: line.line_total
+    }));
+
+    let order;
+    try {
+        order = await Order.create({
+            user_id: req.user.userId,
+            items,
+            subtotal: quote.subtotal,
+            discount_total: quote.discountTotal,
+            coupon: coupon ? { coupon_id: coupon._id, code: coupon.code, amount: quote.discountTotal } : undefined,
+            total: quote.total,
+            status: 'pending',
+            status_history: [{ status: 'pending', changed_by: req.user.userId }]
+        });
+    } catch (error) {
+        // Don't keep stock or a coupon use locked up for an order that was never stored
+        await Product.releaseStock(lines);
+        if (coupon) {
+            await Coupon.release(coupon._id, req.user.userId);
+        }
+        throw error;
+    }
+
+    await StockMovement.record(lines.map((line, index) => ({
+        product_id: line.product_id,
+        sku: line.sku,
+        type: 'sale',
+        delta: -line.quantity,
+        quantity_after: reservation.products[index].quantity,
+        reference: String(order._id),
+        user_id: req.user.userId
+    })));
+
+    res.status(201).json({
+        success: true,
+        message: 'Order placed successfully',
+        order: order
+    });
+}
+
+// List the current user's orders
+async function listOrders(req, res) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+
+    const query = { user_id: req.user.userId };
+    if (req.query.status) {
+        query.status = req.query.status;
+    }
+
+    const totalOrders = await Order.countDocuments(query);
+    const orders = await Order.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    res.json({
+        success: true,
+        message: 'Orders fetched successfully',
+        currentPage: page,
+        totalPages: Math.ceil(totalOrders / limit),
+        totalOrders: totalOrders,
+        orders: orders
+    });
+}
+
+// Get one of the current user's orders (admins can read any order)
+async function getOrder(req, res) {
+    const order = await Order.findById(req.params.id);
+    if (!order || (req.user.role !== 'admin' && String(order.user_id) !== String(req.user.userId))) {
+        throw new NotFoundError('Order not found');
+    }
+
+    res.json({
+        success: true,
+        message: 'Order fetched successfully',
+        order: order
+    });
+}
+
+// Customers can cancel their own orders until they are paid
+async function cancelOrder(req, res) {
+    const order = await Order.findOne({ _id: req.params.id, user_id: req.user.userId });
+    if (!order) {
+        throw new NotFoundError('Order not found');
+    }
+
+    if (order.status !== 'pending') {
+        throw new ConflictError(
+            `A ${order.status} order can no longer be cancelled`,
+            { status: `Cannot cancel a ${order.status} order` }
+        );
+    }
+
+    const updated = await order.transitionTo('cancelled', req.user.userId, 'Cancelled by customer');
+    if (!updated) {
+        throw new ConflictError('Order was changed by another request, please retry');
+    }
+
+    res.json({
+        success: true,
+        message: 'Order cancelled successfully',
+        order: updated
+    });
+}
+
+// Admin: list and filter all orders
+async function listAllOrders(req, res) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.user) filter.user_id = req.query.user;
+    if (req.query.from || req.query.to) {
+        filter.createdAt = {};
+        if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+        if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const totalOrders = await Order.countDocuments(filter);
+    const orders = await Order.find(filter)
+        .sort({ createdAt: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user_id', 'email');
+
+    res.json({
+        success: true,
+        message: 'Orders fetched successfully',
+        currentPage: page,
+        totalPages: Math.ceil(totalOrders / limit),
+        totalOrders: totalOrders,
+        orders: orders
+    });
+}
+
+// Admin: advance an order through its lifecycle
+async function updateOrderStatus(req, res) {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+        throw new NotFoundError('Order not found');
+    }
+
+    if (!order.canTransitionTo(req.body.status)) {
+        throw new ConflictError(
+            `Cannot move order from ${order.status} to ${req.body.status}`,
+            { status: `Allowed next statuses: ${Order.TRANSITIONS[order.status].join(', ') || 'none'}` }
+        );
+    }
+
+    const updated = await order.transitionTo(req.body.status, req.user.userId, req.body.note);
+    if (!updated) {
+        throw new ConflictError('Order was changed by another request, please retry');
+    }
+    await recordAudit(req, { entity: 'order', action: 'update', before: auditSnapshot(order), after: updated });
+
+    res.json({
+        success: true,
+        message: 'Order status updated successfully',
+        order: updated
+    });
+}
+
+module.exports = {
+    checkout,
+    listOrders,
+    getOrder,
+    cancelOrder,
+    listAllOrders,
+    updateOrderStatus
+};
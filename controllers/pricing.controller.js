@@ -0,0 +1,21 @@
+const { buildQuote } = require('../utils/pricing');
+
+// Price a basket without ordering it. A coupon that can't be used is listed
+// in rejectedDiscounts instead of failing the request.
+async function quote(req, res) {
+    const { quote: priced } = await buildQuote({
+        items: req.body.items,
+        couponCode: req.body.couponCode,
+        userId: req.user.userId
+    });
+
+    res.json({
+        success: true,
+        message: 'Quote calculated successfully',
+        quote: priced
+    });
+}
+
+module.exports = {
+    quote
+};
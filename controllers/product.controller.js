@@ -0,0 +1,460 @@
+const Cart = require('../models/cart');
+const Category = require('../models/category');
+const Product = require('../models/product');
+const { processProductImage, removeGalleryImage } = require('../storage/images');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { stockSnapshot, recordStockChanges } = require('../utils/inventory');
+const { queueProductEvent } = require('../utils/webhooks');
+const {
+    BadRequestError,
+    ValidationError,
+    NotFoundError,
+    ConflictError
+} = require('../utils/errors');
+const {
+    parsePerPage,
+    decodeCursor,
+    cursorQuery,
+    buildCursorPage
+} = require('../utils/pagination');
+const { buildProductFilters } = require('../utils/productFilters');
+
+// Fields returned for each product in the listing
+const PRODUCT_LIST_PROJECTION = 'name title description image thumbnail_image images category_id price sale_price sale_starts_at sale_ends_at quantity options variants average_rating review_count'
+    .split(' ')
+    .reduce((acc, field) => ({ ...acc, [field]: 1 }), {});
+
+// sortField values that sort on a differently named field
+const SORT_KEYS = { relevance: 'score', rating: 'average_rating' };
+
+// Product JSON with the computed prices shoppers see
+const withPricing = (product) => ({
+    ...product.toJSON(),
+    price_range: product.getPriceRange(),
+    current_price: product.getCurrentPrice(),
+    on_sale: product.isOnSale()
+});
+
+// Lower bounds of the price buckets reported in the facets; the last one is open-ended
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+// Create a product with its first image
+async function addProduct(req, res) {
+    if (!req.file) {
+        throw new BadRequestError('No image file uploaded', { image: 'No image file uploaded' });
+    }
+
+    const allowedMimeTypes = ['image/jpeg', 'image/png'];
+    if (!allowedMimeTypes.includes(req.file.mimetype)) {
+        throw new BadRequestError(
+            'Invalid image format. Only JPEG and PNG are allowed.',
+            { image: 'Invalid image format' }
+        );
+    }
+
+    const image = await processProductImage(req.file.buffer);
+
+    const newProduct = new Product({
+        name: req.body.name,
+        title: req.body.title,
+        description: req.body.description,
+        images: [{ ...image, is_primary: true }],
+        category_id: req.body.category_id,
+        price: req.body.price,
+        quantity: req.body.quantity
+    });
+
+    await newProduct.save();
+    await recordAudit(req, { entity: 'product', action: 'create', after: newProduct });
+    await queueProductEvent('product.created', newProduct);
+    await recordStockChanges(stockSnapshot(null), newProduct, {
+        type: 'initial',
+        user_id: req.user.userId,
+        reason: 'Product created'
+    });
+    res.status(201).json({
+        success: true,
+        message: 'Product added successfully',
+        product: newProduct
+    });
+}
+
+// Product listing with search, filters, facets and page or cursor pagination
+async function listProducts(req, res) {
+    // Pagination
+    const useCursor = req.query.pagination === 'cursor' || req.query.cursor !== undefined;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+
+    // Filtering
+    const search = req.query.q && req.query.q.trim();
+
+    // Sorting
+    const sortField = req.query.sortField || (search ? 'relevance' : 'createdAt');
+    const sortOrder = req.query.sortOrder === 'desc' ? -1 : 1;
+
+    if (sortField === 'relevance' && !search) {
+        throw new ValidationError({ sortField: 'Sorting by relevance needs a search term in q' });
+    }
+
+    const { baseFilter, categoryFilter, priceFilter } = await buildProductFilters(req.query);
+    const query = { ...baseFilter, ...categoryFilter, ...priceFilter };
+
+    // Relevance always ranks best matches first
+    const sortKey = SORT_KEYS[sortField] || sortField;
+    const order = sortField === 'relevance' ? -1 : sortOrder;
+
+    let cursor = null;
+    if (useCursor && req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor);
+        if (!cursor || cursor.field !== sortKey || cursor.order !== order) {
+            throw new ValidationError({ cursor: 'Cursor is invalid or belongs to a different sort' });
+        }
+    }
+
+    const facetsPipeline = [
+        // $text is only allowed in the first stage, so it can't move into the facets
+        { $match: baseFilter },
+        {
+            $facet: {
+                categories: [
+                    { $match: priceFilter },
+                    { $group: { _id: '$category_id', count: { $sum: 1 } } },
+                    { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+                    { $project: { _id: 0, category_id: '$_id', name: { $first: '$category.name' }, count: 1 } },
+                    { $sort: { count: -1, name: 1 } }
+                ],
+                priceRanges: [
+                    { $match: categoryFilter },
+                    {
+                        $bucket: {
+                            groupBy: '$price',
+                            boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+                            default: 'other',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ]
+            }
+        }
+    ];
+
+    // Cursor mode walks the index from the last row seen instead of skipping,
+    // so rows inserted meanwhile can't shift pages, and it skips the count
+    const loadCursorPage = async () => {
+        const { filter, sort } = cursorQuery({ field: sortKey, order, cursor });
+        const pipeline = [{ $match: query }];
+        if (search) {
+            pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+        }
+        pipeline.push(
+            { $match: filter },
+            { $sort: sort },
+            { $limit: limit + 1 },
+            { $project: { ...PRODUCT_LIST_PROJECTION, score: 1 } }
+        );
+
+        const rows = await Product.aggregate(pipeline);
+        const pageRows = buildCursorPage(rows, {
+            field: sortKey,
+            order,
+            limit,
+            cursor,
+            getValue: (row) => (row[sortKey] === undefined ? null : row[sortKey])
+        });
+        const products = await Product.populate(
+            pageRows.rows.map((row) => Product.hydrate(row)),
+            { path: 'category_id', select: 'name' }
+        );
+
+        return {
+            products,
+            pageInfo: {
+                pagination: 'cursor',
+                productsPerPage: limit,
+                nextCursor: pageRows.nextCursor,
+                prevCursor: pageRows.prevCursor
+            }
+        };
+    };
+
+    const loadNumberedPage = async () => {
+        const sort = sortField === 'relevance'
+            ? { score: { $meta: 'textScore' } }
+            : { [sortKey]: sortOrder, _id: sortOrder };
+
+        // Count total products (for pagination info)
+        const [totalProducts, products] = await Promise.all([
+            Product.countDocuments(query),
+            Product.find(query, search ? { score: { $meta: 'textScore' } } : {})
+                .select(PRODUCT_LIST_PROJECTION)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('category_id', 'name') // This will populate the category name
+        ]);
+
+        return {
+            products,
+            pageInfo: {
+                currentPage: page,
+                totalPages: Math.ceil(totalProducts / limit),
+                totalProducts: totalProducts,
+                productsPerPage: limit
+            }
+        };
+    };
+
+    const [[facets], { products, pageInfo }] = await Promise.all([
+        Product.aggregate(facetsPipeline),
+        useCursor ? loadCursorPage() : loadNumberedPage()
+    ]);
+
+    const priceRanges = facets.priceRanges
+        .filter((bucket) => bucket._id !== 'other')
+        .map((bucket) => {
+            const index = PRICE_BUCKETS.indexOf(bucket._id);
+            return {
+                min: bucket._id,
+                max: index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null,
+                count: bucket.count
+            };
+        });
+
+    res.json({
+        success: true,
+        message: 'Products fetched successfully',
+        ...pageInfo,
+        products: products.map(withPricing),
+        facets: {
+            categories: facets.categories,
+            priceRanges: priceRanges
+        }
+    });
+}
+
+// Update product fields; a new image replaces the primary one
+async function updateProduct(req, res) {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    // The stock of a product with variants is the sum of theirs and changes per SKU
+    if (req.body.quantity && product.variants.length) {
+        throw new ConflictError(
+            `${product.name} has variants; change their stock through /api/inventory/${product._id}/adjust`,
+            { quantity: 'Set the quantity of each variant by SKU' }
+        );
+    }
+
+    const before = auditSnapshot(product);
+    const stockBefore = stockSnapshot(product);
+
+    // Update text fields
+    if (req.body.name) product.name = req.body.name;
+    if (req.body.title) product.title = req.body.title;
+    if (req.body.description) product.description = req.body.description;
+    if (req.body.category_id) product.category_id = req.body.category_id;
+    if (req.body.price) product.price = req.body.price;
+    if (req.body.quantity) product.quantity = req.body.quantity;
+
+    // Handle image update if a new image is uploaded
+    let replacedImage = null;
+    if (req.file) {
+        const allowedMimeTypes = ['image/jpeg', 'image/png'];
+        if (!allowedMimeTypes.includes(req.file.mimetype)) {
+            throw new BadRequestError(
+                'Invalid image format. Only JPEG and PNG are allowed.',
+                { image: 'Invalid image format' }
+            );
+        }
+
+        const image = await processProductImage(req.file.buffer);
+
+        // The uploaded image replaces the primary gallery image;
+        // the old files are deleted once the product points at the new ones
+        product.ensureGallery();
+        const primary = product.images.find((entry) => entry.is_primary);
+        if (primary) {
+            replacedImage = primary.toObject();
+            Object.assign(primary, image);
+        } else {
+            product.images.push({ ...image, is_primary: true });
+        }
+    }
+
+    await product.save();
+    if (replacedImage) {
+        await removeGalleryImage(replacedImage);
+    }
+    await recordAudit(req, { entity: 'product', action: 'update', before, after: product });
+    await queueProductEvent('product.updated', product);
+    await recordStockChanges(stockBefore, product, {
+        type: 'adjustment',
+        user_id: req.user.userId,
+        reason: 'Product edited'
+    });
+    res.json({
+        success: true,
+        message: 'Product updated successfully',
+        product: product
+    });
+}
+
+// Move a product to the trash
+async function deleteProduct(req, res) {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const before = auditSnapshot(product);
+
+    // Soft delete: images stay until the trash is purged
+    await product.softDelete(req.user.userId);
+    await recordAudit(req, { entity: 'product', action: 'delete', before, after: product });
+    await queueProductEvent('product.deleted', product);
+    await Cart.markProductDeleted(product._id);
+    res.json({
+        success: true,
+        message: 'Product moved to trash'
+    });
+}
+
+// Get one product with its price range
+async function getProduct(req, res) {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    res.json({
+        success: true,
+        message: 'Product fetched successfully',
+        product: withPricing(product)
+    });
+}
+
+// Replace a product's option definitions and variant SKUs
+async function updateVariants(req, res) {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const before = auditSnapshot(product);
+    const stockBefore = stockSnapshot(product);
+
+    const skus = req.body.variants.map((variant) => variant.sku);
+    const taken = await Product.findOne({ _id: { $ne: product._id }, 'variants.sku': { $in: skus } })
+        .select('name variants.sku')
+        .setOptions({ withDeleted: true });
+    if (taken) {
+        const sku = taken.variants.find((variant) => skus.includes(variant.sku)).sku;
+        throw new ConflictError(
+            `SKU ${sku} is already used by ${taken.name}`,
+            { sku: `SKU ${sku} already exists` }
+        );
+    }
+
+    product.options = req.body.options;
+    product.variants = req.body.variants;
+
+    try {
+        await product.save();
+    } catch (error) {
+        // Another product may have claimed one of the SKUs since the check above
+        if (error.code === 11000) {
+            throw new ConflictError('SKU already exists', { sku: 'SKU already exists' });
+        }
+        throw error;
+    }
+    await recordAudit(req, { entity: 'product', action: 'update', before, after: product });
+    await queueProductEvent('product.updated', product);
+    await recordStockChanges(stockBefore, product, {
+        type: 'adjustment',
+        user_id: req.user.userId,
+        reason: 'Variants updated'
+    });
+    res.json({
+        success: true,
+        message: 'Product variants updated successfully',
+        product: withPricing(product)
+    });
+}
+
+// Admin: put a product on sale, optionally only between startsAt and endsAt
+async function setSale(req, res) {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const before = auditSnapshot(product);
+    product.sale_price = req.body.salePrice;
+    product.sale_starts_at = req.body.startsAt || null;
+    product.sale_ends_at = req.body.endsAt || null;
+
+    await product.save();
+    await recordAudit(req, { entity: 'product', action: 'update', before, after: product });
+    await queueProductEvent('product.updated', product);
+    res.json({
+        success: true,
+        message: 'Sale price set successfully',
+        product: withPricing(product)
+    });
+}
+
+// Admin: end a product's sale
+async function clearSale(req, res) {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const before = auditSnapshot(product);
+    product.sale_price = null;
+    product.sale_starts_at = null;
+    product.sale_ends_at = null;
+
+    await product.save();
+    await recordAudit(req, { entity: 'product', action: 'update', before, after: product });
+    await queueProductEvent('product.updated', product);
+    res.json({
+        success: true,
+        message: 'Sale removed successfully',
+        product: withPricing(product)
+    });
+}
+
+// Admin: bring a product back from the trash
+async function restoreProduct(req, res) {
+    const product = await Product.findOne({ _id: req.params.id, deleted_at: { $ne: null } });
+    if (!product) {
+        throw new NotFoundError('Product not found in trash');
+    }
+
+    const before = auditSnapshot(product);
+    await product.restore();
+    await recordAudit(req, { entity: 'product', action: 'restore', before, after: product });
+    await queueProductEvent('product.restored', product);
+    await Cart.markProductDeleted(product._id, false);
+    res.json({
+        success: true,
+        message: 'Product restored successfully',
+        product: product
+    });
+}
+
+module.exports = {
+    addProduct,
+    listProducts,
+    updateProduct,
+    deleteProduct,
+    getProduct,
+    updateVariants,
+    setSale,
+    clearSale,
+    restoreProduct
+};
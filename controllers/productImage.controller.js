@@ -0,0 +1,191 @@
+const Product = require('../models/product');
+const {
+    processProductImage,
+    regenerateVariants,
+    removeFiles,
+    removeGalleryImage
+} = require('../storage/images');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { queueProductEvent } = require('../utils/webhooks');
+const {
+    BadRequestError,
+    ValidationError,
+    NotFoundError,
+    ConflictError
+} = require('../utils/errors');
+
+// Append images to a product's gallery
+async function addImages(req, res) {
+    if (!req.files || !req.files.length) {
+        throw new BadRequestError('No image files uploaded', { images: 'No image files uploaded' });
+    }
+
+    const allowedMimeTypes = ['image/jpeg', 'image/png'];
+    if (req.files.some((file) => !allowedMimeTypes.includes(file.mimetype))) {
+        throw new BadRequestError(
+            'Invalid image format. Only JPEG and PNG are allowed.',
+            { images: 'Invalid image format' }
+        );
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const before = auditSnapshot(product);
+
+    const uploaded = await Promise.all(req.files.map((file) => processProductImage(file.buffer)));
+
+    product.ensureGallery();
+    uploaded.forEach((image) => product.images.push(image));
+
+    await product.save();
+    await recordAudit(req, { entity: 'product', action: 'update', before, after: product });
+    await queueProductEvent('product.updated', product);
+    res.status(201).json({
+        success: true,
+        message: 'Images added successfully',
+        product: product
+    });
+}
+
+// Remove one image from a product's gallery
+async function removeImage(req, res) {
+    const product = await Product.findById(req.params.id);
+    const image = product && product.images.id(req.params.imageId);
+    if (!image) {
+        throw new NotFoundError('Image not found');
+    }
+
+    if (product.images.length === 1) {
+        throw new ConflictError(
+            'A product must keep at least one image',
+            { imageId: 'Cannot delete the only image' }
+        );
+    }
+
+    const before = auditSnapshot(product);
+
+    // If the primary image goes, syncPrimaryImage promotes the next one on save.
+    // Variants shown with it fall back to the product's primary image.
+    product.images.pull(image._id);
+    product.variants.forEach((variant) => {
+        if (variant.image_id && variant.image_id.equals(image._id)) {
+            variant.image_id = null;
+        }
+    });
+    await product.save();
+    await recordAudit(req, { entity: 'product', action: 'update', before, after: product });
+    await queueProductEvent('product.updated', product);
+    await removeGalleryImage(image);
+
+    res.json({
+        success: true,
+        message: 'Image deleted successfully',
+        product: product
+    });
+}
+
+// Reorder a product's gallery; `order` must list every image ID exactly once
+async function reorderImages(req, res) {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const before = auditSnapshot(product);
+
+    product.ensureGallery();
+    const order = req.body.order.map(String);
+    const currentIds = product.images.map((image) => String(image._id));
+    const isPermutation = order.length === currentIds.length
+        && new Set(order).size === order.length
+        && order.every((id) => currentIds.includes(id));
+
+    if (!isPermutation) {
+        throw new ValidationError({ order: 'Order must contain every image ID of the product exactly once' });
+    }
+
+    product.images = order.map((id) => product.images.id(id));
+    await product.save();
+    await recordAudit(req, { entity: 'product', action: 'update', before, after: product });
+    await queueProductEvent('product.updated', product);
+    res.json({
+        success: true,
+        message: 'Images reordered successfully',
+        product: product
+    });
+}
+
+// Mark a gallery image as the product's primary image
+async function setPrimaryImage(req, res) {
+    const product = await Product.findById(req.params.id);
+    const before = auditSnapshot(product);
+    if (!product || !product.setPrimaryImage(req.params.imageId)) {
+        throw new NotFoundError('Image not found');
+    }
+
+    await product.save();
+    await recordAudit(req, { entity: 'product', action: 'update', before, after: product });
+    await queueProductEvent('product.updated', product);
+    res.json({
+        success: true,
+        message: 'Primary image updated successfully',
+        product: product
+    });
+}
+
+// Admin: re-render the image variants of the given products after the
+// variant configuration changed
+async function regenerateImages(req, res) {
+    const filter = { _id: { $in: req.body.productIds } };
+    let processed = 0;
+    const failed = [];
+
+    // One product at a time keeps memory bounded
+    for await (const product of Product.find(filter).cursor()) {
+        // Variants rendered so far, deleted again if the product can't be saved
+        const generated = [];
+        try {
+            const before = auditSnapshot(product);
+            product.ensureGallery();
+            const obsoleteFiles = new Map();
+            for (const entry of product.images) {
+                const result = await regenerateVariants(entry);
+                generated.push({ ...result.fields, original: null });
+                Object.assign(entry, result.fields);
+                result.obsoleteFiles.forEach((key, url) => obsoleteFiles.set(url, key));
+            }
+            await product.save();
+            // From here on the product uses the new files
+            generated.length = 0;
+            await recordAudit(req, { entity: 'product', action: 'update', before, after: product });
+            await queueProductEvent('product.updated', product);
+            // Only drop the old files once the product points at the new ones
+            await removeFiles(obsoleteFiles);
+            processed += 1;
+        } catch (error) {
+            console.error(`Error regenerating images for product ${product._id}:`, error);
+            failed.push({ productId: product._id, error: error.message });
+            await Promise.all(generated.map((fields) => removeGalleryImage(fields)))
+                .catch((cleanupError) => console.error('Error removing regenerated images:', cleanupError));
+        }
+    }
+
+    // 207 tells clients to look at `failed` rather than treat the run as done
+    res.status(failed.length ? 207 : 200).json({
+        success: failed.length === 0,
+        message: `Regenerated images for ${processed} product(s)`,
+        processed: processed,
+        failed: failed
+    });
+}
+
+module.exports = {
+    addImages,
+    removeImage,
+    reorderImages,
+    setPrimaryImage,
+    regenerateImages
+};
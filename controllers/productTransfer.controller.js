@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const Category = require('../models/category');
+const Product = require('../models/product');
+const { processProductImage, removeGalleryImage } = require('../storage/images');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { BadRequestError } = require('../utils/errors');
+const { stockSnapshot, recordStockChanges } = require('../utils/inventory');
+const { queueProductEvent } = require('../utils/webhooks');
+const { buildProductFilters } = require('../utils/productFilters');
+const {
+    IMAGE_URL_SEPARATOR,
+    parseImportFile,
+    rowImageUrls,
+    validateRow,
+    fetchImportImage
+} = require('../utils/productImport');
+const { validateProduct } = require('../validators/product.validators');
+
+const importCell = (value) => (value === undefined || value === null || value === '' ? undefined : String(value));
+
+const EXPORT_COLUMNS = ['id', 'name', 'title', 'description', 'price', 'quantity', 'category', 'category_id', 'sku', 'image_url', 'createdAt', 'updatedAt'];
+
+// Image URLs of a product as exported, also for products from before the gallery
+const productImageUrls = (product) => (product.images.length ? product.images.map((image) => image.url) : [product.image])
+    .filter(Boolean);
+
+// Export rows of a product: one per variant, else one for the product. The
+// columns line up with what the import accepts, so an export can be imported
+// again with ?mode=upsert.
+function productExportRows(product) {
+    const category = product.category_id;
+    const row = {
+        id: String(product._id),
+        name: product.name,
+        title: product.title,
+        description: product.description,
+        price: product.price,
+        quantity: product.quantity,
+        category: category && category.name ? category.name : null,
+        category_id: category ? String(category._id || category) : null,
+        sku: null,
+        image_url: productImageUrls(product).join(IMAGE_URL_SEPARATOR),
+        createdAt: product.createdAt ? product.createdAt.toISOString() : null,
+        updatedAt: product.updatedAt ? product.updatedAt.toISOString() : null
+    };
+    if (!product.variants.length) return [row];
+
+    return product.variants.map((variant) => ({
+        ...row,
+        price: variant.price !== undefined && variant.price !== null ? variant.price : product.price,
+        quantity: variant.quantity,
+        sku: variant.sku
+    }));
+}
+
+// Admin: bulk-create or upsert products from a CSV or JSON file.
+// Columns: name, title, description, price, quantity, category (name or ID)
+// or category_id, image_url ("|"-separated URLs) and optional sku.
+// With ?dryRun=true rows are only validated; images are not downloaded.
+// With ?mode=upsert rows update the product with the same SKU, else the same name.
+async function importProducts(req, res) {
+    if (!req.file) {
+        throw new BadRequestError('No import file uploaded', { file: 'No import file uploaded' });
+    }
+
+    let rows;
+    try {
+        rows = parseImportFile(req.file, req.query.format);
+    } catch (error) {
+        throw new BadRequestError('Could not read import file', { file: error.message });
+    }
+
+    const mode = req.query.mode || 'create';
+    const dryRun = req.query.dryRun === 'true';
+    const categoryIds = new Map();
+    const results = [];
+    const summary = { created: 0, updated: 0, failed: 0 };
+
+    // Category cells may hold a name or an ID; look each one up once
+    const resolveCategory = async (value) => {
+        const key = String(value).trim();
+        if (!categoryIds.has(key)) {
+            const category = mongoose.isValidObjectId(key)
+                ? await Category.findById(key)
+                : await Category.findOne({ name: key });
+            categoryIds.set(key, category ? String(category._id) : null);
+        }
+        return categoryIds.get(key);
+    };
+
+    for (const [index, row] of rows.entries()) {
+        // Row numbers count data rows from 1, matching the file without its header
+        const rowNumber = index + 1;
+        // JSON files can hold anything; only objects describe a product
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            summary.failed += 1;
+            results.push({ row: rowNumber, status: 'failed', errors: { row: 'Each row must be an object' } });
+            continue;
+        }
+        const sku = row.sku ? String(row.sku).trim() : '';
+        const imageUrls = rowImageUrls(row);
+        const categoryValue = row.category_id || row.category;
+        const categoryId = categoryValue ? await resolveCategory(categoryValue) : null;
+
+        // JSON rows may hold numbers (or objects); validate everything as text like a form body would be
+        const fields = {
+            name: importCell(row.name),
+            title: importCell(row.title),
+            description: importCell(row.description),
+            category_id: categoryId || undefined,
+            price: importCell(row.price),
+            quantity: importCell(row.quantity)
+        };
+        const rowErrors = await validateRow(validateProduct, fields);
+        if (categoryValue && !categoryId) {
+            delete rowErrors.category_id;
+            rowErrors.category = `Category "${categoryValue}" not found`;
+        }
+
+        if (imageUrls.some((url) => !/^https?:\/\//i.test(url))) {
+            rowErrors.image_url = 'Image URLs must start with http:// or https://';
+        }
+        if (sku && !/^[A-Za-z0-9._-]+$/.test(sku)) {
+            rowErrors.sku = 'SKU may only contain letters, digits, ".", "_" and "-"';
+        }
+
+        let existing = null;
+        if (!Object.keys(rowErrors).length) {
+            if (mode === 'upsert') {
+                if (sku) {
+                    existing = await Product.findOne({ 'variants.sku': sku });
+                }
+                if (!existing) {
+                    const matches = await Product.find({ name: fields.name }).limit(2);
+                    if (matches.length > 1) {
+                        rowErrors.name = 'Several products have this name; add a SKU to pick one';
+                    }
+                    existing = matches[0] || null;
+                }
+            }
+
+            if (!existing && sku && await Product.exists({ 'variants.sku': sku }).setOptions({ withDeleted: true })) {
+                rowErrors.sku = `SKU ${sku} already exists`;
+            }
+            // The stock of a product with variants is the sum of theirs, so a row
+            // has to name the variant it sets the quantity of
+            if (existing && existing.variants.length && !existing.variants.some((entry) => entry.sku === sku)) {
+                rowErrors.sku = sku
+                    ? `${existing.name} has no variant ${sku}`
+                    : `${existing.name} has variants; add the SKU of the one to update`;
+            }
+            if (!existing && !imageUrls.length) {
+                rowErrors.image_url = 'New products need at least one image URL';
+            }
+        }
+
+        if (Object.keys(rowErrors).length) {
+            summary.failed += 1;
+            results.push({ row: rowNumber, status: 'failed', errors: rowErrors });
+            continue;
+        }
+
+        const action = existing ? 'update' : 'create';
+        if (dryRun) {
+            summary[action === 'create' ? 'created' : 'updated'] += 1;
+            results.push({ row: rowNumber, status: action, productId: existing ? existing._id : null });
+            continue;
+        }
+
+        try {
+            const price = Number(fields.price);
+            const quantity = Number(fields.quantity);
+            const product = existing || new Product();
+            const before = existing ? auditSnapshot(existing) : null;
+            const stockBefore = stockSnapshot(existing);
+
+            // Only touch the gallery when the row lists different images,
+            // so re-importing an export doesn't re-upload everything
+            const currentUrls = existing ? productImageUrls(product) : [];
+            const replaceImages = imageUrls.length
+                && JSON.stringify(imageUrls) !== JSON.stringify(currentUrls);
+            let oldGallery = [];
+            if (replaceImages) {
+                const buffers = await Promise.all(imageUrls.map(fetchImportImage));
+                const uploaded = await Promise.all(buffers.map((buffer) => processProductImage(buffer)));
+                product.ensureGallery();
+                oldGallery = product.images.map((image) => image.toObject());
+                product.images = uploaded.map((image, position) => ({ ...image, is_primary: position === 0 }));
+            }
+
+            product.name = fields.name;
+            product.title = fields.title;
+            product.description = fields.description;
+            product.category_id = fields.category_id;
+
+            const variant = sku ? product.variants.find((entry) => entry.sku === sku) : null;
+            if (variant) {
+                variant.quantity = quantity;
+                variant.price = price;
+            } else {
+                product.price = price;
+                product.quantity = quantity;
+                // A new product with a SKU gets it as its single variant
+                if (!existing && sku) {
+                    product.variants = [{ sku, quantity }];
+                }
+            }
+
+            await product.save();
+            await Promise.all(oldGallery.map((image) => removeGalleryImage(image)));
+            await recordAudit(req, { entity: 'product', action, before, after: product });
+            await queueProductEvent(action === 'create' ? 'product.created' : 'product.updated', product);
+            await recordStockChanges(stockBefore, product, {
+                type: 'import',
+                user_id: req.user.userId,
+                reason: `Import row ${rowNumber}`
+            });
+
+            summary[action === 'create' ? 'created' : 'updated'] += 1;
+            results.push({ row: rowNumber, status: action, productId: product._id });
+        } catch (error) {
+            summary.failed += 1;
+            results.push({ row: rowNumber, status: 'failed', errors: { row: error.message } });
+        }
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+        success: summary.failed === 0,
+        message: dryRun
+            ? `Dry run: ${summary.created} to create, ${summary.updated} to update, ${summary.failed} with errors`
+            : `Imported ${summary.created} new and ${summary.updated} updated product(s), ${summary.failed} failed`,
+        dryRun: dryRun,
+        mode: mode,
+        totalRows: rows.length,
+        ...summary,
+        rows: results
+    });
+}
+
+// Admin: stream the catalogue, filtered like GET /api/products, as CSV or JSON
+async function exportProducts(req, res) {
+    const format = req.query.format || 'csv';
+    const { baseFilter, categoryFilter, priceFilter } = await buildProductFilters(req.query);
+    const products = Product.find({ ...baseFilter, ...categoryFilter, ...priceFilter })
+        .sort({ _id: 1 })
+        .populate('category_id', 'name')
+        .cursor();
+
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+        res.type('application/json');
+        await pipeline(Readable.from((async function* () {
+            yield '[';
+            let first = true;
+            for await (const product of products) {
+                for (const row of productExportRows(product)) {
+                    yield (first ? '' : ',') + JSON.stringify(row);
+                    first = false;
+                }
+            }
+            yield ']';
+        })()), res);
+    } else {
+        res.type('text/csv');
+        await pipeline(
+            Readable.from((async function* () {
+                for await (const product of products) {
+                    yield* productExportRows(product);
+                }
+            })()),
+            stringify({ header: true, columns: EXPORT_COLUMNS }),
+            res
+        );
+    }
+}
+
+module.exports = {
+    importProducts,
+    exportProducts
+};
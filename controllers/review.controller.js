@@ -0,0 +1,199 @@
+const Order = require('../models/order');
+const Product = require('../models/product');
+const Review = require('../models/review');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { parsePerPage } = require('../utils/pagination');
+
+// Moderation details are only for admins
+const PUBLIC_REVIEW_FIELDS = '-moderated_by -moderated_at -moderation_note';
+
+const alreadyReviewed = (review) => new ConflictError(
+    'You have already reviewed this product',
+    { product_id: 'You have already reviewed this product' },
+    { reviewId: review ? review._id : undefined }
+);
+
+// Public: a product's approved reviews with the rating summary
+async function listProductReviews(req, res) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+    const sortField = req.query.sortField || 'createdAt';
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const product = await Product.findById(req.params.id).select('_id');
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const filter = { product_id: product._id, status: 'approved' };
+    if (req.query.rating) filter.rating = parseInt(req.query.rating);
+    if (req.query.verified !== undefined) filter.verified_purchase = req.query.verified === 'true';
+
+    const [summary, totalReviews, reviews] = await Promise.all([
+        Review.summarize(product._id),
+        Review.countDocuments(filter),
+        Review.find(filter)
+            .select(PUBLIC_REVIEW_FIELDS)
+            .sort({ [sortField]: sortOrder, _id: sortOrder })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+
+    res.json({
+        success: true,
+        message: 'Reviews fetched successfully',
+        currentPage: page,
+        totalPages: Math.ceil(totalReviews / limit),
+        totalReviews: totalReviews,
+        ...summary,
+        reviews: reviews
+    });
+}
+
+// Review a product; one review per user and product
+async function createReview(req, res) {
+    const product = await Product.findById(req.params.id).select('_id');
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const existing = await Review.findOne({ product_id: product._id, user_id: req.user.userId }).select('_id');
+    if (existing) {
+        throw alreadyReviewed(existing);
+    }
+
+    const review = new Review({
+        product_id: product._id,
+        user_id: req.user.userId,
+        rating: req.body.rating,
+        title: req.body.title,
+        body: req.body.body,
+        author_name: req.body.authorName,
+        verified_purchase: await Order.hasPurchased(req.user.userId, product._id)
+    });
+    try {
+        await review.save();
+    } catch (error) {
+        // A second request from the same user can pass the check above
+        if (error.code === 11000) {
+            throw alreadyReviewed(null);
+        }
+        throw error;
+    }
+
+    await Review.refreshProductRating(product._id);
+    res.status(201).json({
+        success: true,
+        message: 'Review added successfully',
+        review: review
+    });
+}
+
+// Authors edit their own review
+async function updateReview(req, res) {
+    const review = await Review.findOne({ _id: req.params.id, user_id: req.user.userId });
+    if (!review) {
+        throw new NotFoundError('Review not found');
+    }
+
+    if (req.body.rating !== undefined) review.rating = req.body.rating;
+    if (req.body.title !== undefined) review.title = req.body.title;
+    if (req.body.body !== undefined) review.body = req.body.body;
+    if (req.body.authorName !== undefined) review.author_name = req.body.authorName;
+    // The author may have bought the product since writing the review
+    if (!review.verified_purchase) {
+        review.verified_purchase = await Order.hasPurchased(req.user.userId, review.product_id);
+    }
+
+    await review.save();
+    await Review.refreshProductRating(review.product_id);
+    res.json({
+        success: true,
+        message: 'Review updated successfully',
+        review: review
+    });
+}
+
+// Authors delete their own review; admins can delete any
+async function deleteReview(req, res) {
+    const filter = { _id: req.params.id };
+    if (req.user.role !== 'admin') {
+        filter.user_id = req.user.userId;
+    }
+
+    const review = await Review.findOneAndDelete(filter);
+    if (!review) {
+        throw new NotFoundError('Review not found');
+    }
+
+    if (req.user.role === 'admin') {
+        await recordAudit(req, { entity: 'review', action: 'delete', before: review });
+    }
+    await Review.refreshProductRating(review.product_id);
+    res.json({
+        success: true,
+        message: 'Review deleted successfully'
+    });
+}
+
+// Admin: every review, hidden ones included
+async function listAllReviews(req, res) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.product) filter.product_id = req.query.product;
+    if (req.query.user) filter.user_id = req.query.user;
+
+    const totalReviews = await Review.countDocuments(filter);
+    const reviews = await Review.find(filter)
+        .sort({ createdAt: sortOrder, _id: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user_id', 'email')
+        .populate('product_id', 'name');
+
+    res.json({
+        success: true,
+        message: 'Reviews fetched successfully',
+        currentPage: page,
+        totalPages: Math.ceil(totalReviews / limit),
+        totalReviews: totalReviews,
+        reviews: reviews
+    });
+}
+
+// Admin: hide a review or approve it again
+async function moderateReview(req, res) {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+        throw new NotFoundError('Review not found');
+    }
+
+    const before = auditSnapshot(review);
+    review.status = req.body.status;
+    review.moderated_by = req.user.userId;
+    review.moderated_at = new Date();
+    review.moderation_note = req.body.note;
+
+    await review.save();
+    await recordAudit(req, { entity: 'review', action: 'update', before, after: review });
+    await Review.refreshProductRating(review.product_id);
+    res.json({
+        success: true,
+        message: review.status === 'hidden' ? 'Review hidden' : 'Review approved',
+        review: review
+    });
+}
+
+module.exports = {
+    listProductReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    listAllReviews,
+    moderateReview
+};
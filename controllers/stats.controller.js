@@ -0,0 +1,118 @@
+const Product = require('../models/product');
+const Category = require('../models/category');
+const inventoryConfig = require('../config/inventory');
+const { isLowStockExpression } = require('../utils/inventory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Length of the per-day series when no range is given
+const DEFAULT_RANGE_DAYS = 30;
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Whole UTC days from `from` through `to`; `end` is exclusive
+function statsRange(query) {
+    const to = startOfUtcDay(query.to ? new Date(query.to) : new Date());
+    const from = query.from
+        ? startOfUtcDay(new Date(query.from))
+        : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+    return { from, end: new Date(to.getTime() + DAY_MS) };
+}
+
+// Catalogue totals and per-category breakdown of the products not in the trash.
+// Inventory value is price × quantity at the list price, ignoring sales.
+async function catalogueStats() {
+    const defaultThreshold = inventoryConfig.defaultLowStockThreshold;
+    const value = { $multiply: ['$price', { $max: ['$quantity', 0] }] };
+
+    const [result] = await Product.aggregate([
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            products: { $sum: 1 },
+                            inventoryValue: { $sum: value },
+                            outOfStock: { $sum: { $cond: [{ $lte: ['$quantity', 0] }, 1, 0] } },
+                            // Same products as the low-stock report, out-of-stock ones included
+                            lowStock: { $sum: { $cond: [isLowStockExpression(), 1, 0] } }
+                        }
+                    }
+                ],
+                categories: [
+                    { $group: { _id: '$category_id', productCount: { $sum: 1 }, inventoryValue: { $sum: value } } },
+                    { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+                    {
+                        $project: {
+                            _id: 0,
+                            categoryId: '$_id',
+                            name: { $ifNull: [{ $first: '$category.name' }, null] },
+                            productCount: 1,
+                            inventoryValue: 1
+                        }
+                    },
+                    { $sort: { productCount: -1, name: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    const totals = result.totals[0] || { products: 0, inventoryValue: 0, outOfStock: 0, lowStock: 0 };
+    return {
+        totals: {
+            products: totals.products,
+            inventoryValue: Math.round(totals.inventoryValue * 100) / 100,
+            outOfStock: totals.outOfStock,
+            lowStock: totals.lowStock,
+            defaultLowStockThreshold: defaultThreshold
+        },
+        categories: result.categories.map((category) => ({
+            ...category,
+            inventoryValue: Math.round(category.inventoryValue * 100) / 100
+        }))
+    };
+}
+
+// Products created on each UTC day of the range, including days with none.
+// Products that were trashed since still count towards the day they were added.
+async function productsAddedPerDay({ from, end }) {
+    const rows = await Product.aggregate([
+        { $match: { createdAt: { $gte: from, $lt: end } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } }
+    ], { withDeleted: true });
+    const counts = new Map(rows.map((row) => [row._id, row.count]));
+
+    const days = [];
+    for (let day = from.getTime(); day < end.getTime(); day += DAY_MS) {
+        const date = new Date(day).toISOString().slice(0, 10);
+        days.push({ date, count: counts.get(date) || 0 });
+    }
+    return days;
+}
+
+// Admin: dashboard overview. Responses are cached for a short time (see
+// STATS_CACHE_SECONDS), so generatedAt tells the dashboard how fresh they are.
+async function getStats(req, res) {
+    const range = statsRange(req.query);
+    const [catalogue, addedPerDay] = await Promise.all([
+        catalogueStats(),
+        productsAddedPerDay(range)
+    ]);
+
+    res.json({
+        success: true,
+        message: 'Statistics fetched successfully',
+        generatedAt: new Date(),
+        range: {
+            from: range.from.toISOString().slice(0, 10),
+            to: new Date(range.end.getTime() - DAY_MS).toISOString().slice(0, 10)
+        },
+        totals: catalogue.totals,
+        categories: catalogue.categories,
+        productsAddedPerDay: addedPerDay
+    });
+}
+
+module.exports = {
+    getStats
+};
@@ -0,0 +1,39 @@
+const Category = require('../models/category');
+const Product = require('../models/product');
+const { parsePerPage } = require('../utils/pagination');
+
+// Admin: list soft-deleted products or categories, most recently deleted first
+async function listTrash(req, res) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+    const type = req.query.type || 'product';
+    const Model = type === 'category' ? Category : Product;
+    const fields = type === 'category'
+        ? 'name description parent_id deleted_at deleted_by'
+        : 'name title image thumbnail_image category_id price quantity deleted_at deleted_by';
+
+    const filter = { deleted_at: { $ne: null } };
+    const [totalItems, items] = await Promise.all([
+        Model.countDocuments(filter),
+        Model.find(filter)
+            .select(fields)
+            .sort({ deleted_at: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('deleted_by', 'email')
+    ]);
+
+    res.json({
+        success: true,
+        message: 'Trash fetched successfully',
+        type: type,
+        currentPage: page,
+        totalPages: Math.ceil(totalItems / limit),
+        totalItems: totalItems,
+        items: items
+    });
+}
+
+module.exports = {
+    listTrash
+};
@@ -0,0 +1,112 @@
+const Product = require('../models/product');
+const RecentlyViewed = require('../models/recentlyViewed');
+const RefreshToken = require('../models/refreshToken');
+const User = require('../models/user');
+const { issueAuthTokens } = require('../utils/authTokens');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Profile of the logged-in user
+async function getMe(req, res) {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+    res.json({
+        success: true,
+        message: 'User found',
+        user: {
+            id: user._id,
+            email: user.email,
+            role: user.role
+        }
+    });
+}
+
+//change password; invalidates every existing token of the user
+async function changePassword(req, res) {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    if (!(await user.comparePassword(req.body.currentPassword))) {
+        throw new ValidationError({ currentPassword: 'Current password is incorrect' });
+    }
+
+    user.setPassword(req.body.newPassword);
+    await user.save();
+    await RefreshToken.revokeAllForUser(user._id);
+
+    const { token, refreshToken } = await issueAuthTokens(user);
+    res.json({
+        success: true,
+        message: 'Password changed successfully',
+        token,
+        refreshToken
+    });
+}
+
+// Products the user opened lately, newest first; deleted products are left out
+async function getRecentlyViewed(req, res) {
+    const limit = Math.min(parseInt(req.query.limit) || RecentlyViewed.MAX_ITEMS, RecentlyViewed.MAX_ITEMS);
+
+    const history = await RecentlyViewed.findOne({ user_id: req.user.userId });
+    const views = history ? history.items : [];
+
+    const products = await Product.find({ _id: { $in: views.map((view) => view.product_id) } })
+        .select('name thumbnail_image price sale_price sale_starts_at sale_ends_at quantity average_rating review_count');
+    const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+    const items = views
+        .filter((view) => productsById.has(String(view.product_id)))
+        .slice(0, limit)
+        .map((view) => {
+            const product = productsById.get(String(view.product_id));
+            return {
+                product_id: product._id,
+                name: product.name,
+                thumbnail_image: product.thumbnail_image,
+                price: product.price,
+                current_price: product.getCurrentPrice(),
+                on_sale: product.isOnSale(),
+                in_stock: product.quantity > 0,
+                average_rating: product.average_rating,
+                review_count: product.review_count,
+                viewed_at: view.viewed_at
+            };
+        });
+
+    res.json({
+        success: true,
+        message: 'Recently viewed products fetched successfully',
+        items: items
+    });
+}
+
+// Admin: lift a temporary login lock and reset the failed login count
+async function unlockUser(req, res) {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    const wasLocked = user.lockSecondsRemaining() > 0;
+    await user.clearFailedLogins();
+
+    res.json({
+        success: true,
+        message: wasLocked ? 'Account unlocked' : 'Account was not locked',
+        user: {
+            id: user._id,
+            email: user.email,
+            role: user.role
+        }
+    });
+}
+
+module.exports = {
+    getMe,
+    changePassword,
+    getRecentlyViewed,
+    unlockUser
+};
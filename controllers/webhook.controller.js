@@ -0,0 +1,143 @@
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { auditSnapshot, recordAudit } = require('../utils/audit');
+const { NotFoundError } = require('../utils/errors');
+const { parsePerPage } = require('../utils/pagination');
+
+// Request body fields an admin may set; the secret is generated, never sent in
+const WEBHOOK_FIELDS = ['url', 'description', 'events', 'active'];
+
+function applyWebhookFields(webhook, body) {
+    WEBHOOK_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) webhook[field] = body[field];
+    });
+}
+
+// Audit snapshot without the signing secret, which a new webhook still carries
+function webhookSnapshot(webhook) {
+    const snapshot = auditSnapshot(webhook);
+    delete snapshot.secret;
+    return snapshot;
+}
+
+async function findWebhook(id) {
+    const webhook = await Webhook.findById(id);
+    if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+    }
+    return webhook;
+}
+
+// Admin: list webhooks, without their secrets
+async function listWebhooks(req, res) {
+    const webhooks = await Webhook.find().sort({ createdAt: -1, _id: -1 });
+
+    res.json({
+        success: true,
+        message: 'Webhooks fetched successfully',
+        webhooks: webhooks
+    });
+}
+
+// Admin: subscribe an endpoint. The response is the only time the secret is shown.
+async function createWebhook(req, res) {
+    const webhook = new Webhook({ secret: Webhook.generateSecret(), created_by: req.user.userId });
+    applyWebhookFields(webhook, req.body);
+    await webhook.save();
+    await recordAudit(req, { entity: 'webhook', action: 'create', after: webhookSnapshot(webhook) });
+
+    res.status(201).json({
+        success: true,
+        message: 'Webhook created successfully',
+        webhook: webhook
+    });
+}
+
+// Admin: change a webhook's URL, events or active flag
+async function updateWebhook(req, res) {
+    const webhook = await findWebhook(req.params.id);
+    const before = webhookSnapshot(webhook);
+    applyWebhookFields(webhook, req.body);
+    await webhook.save();
+    await recordAudit(req, { entity: 'webhook', action: 'update', before, after: webhookSnapshot(webhook) });
+
+    res.json({
+        success: true,
+        message: 'Webhook updated successfully',
+        webhook: webhook
+    });
+}
+
+// Admin: remove a webhook together with its queued deliveries and log
+async function deleteWebhook(req, res) {
+    const webhook = await findWebhook(req.params.id);
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook_id: webhook._id });
+    await recordAudit(req, { entity: 'webhook', action: 'delete', before: webhookSnapshot(webhook) });
+
+    res.json({
+        success: true,
+        message: 'Webhook deleted successfully'
+    });
+}
+
+// Admin: delivery log of a webhook, newest first
+async function listDeliveries(req, res) {
+    const webhook = await findWebhook(req.params.id);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parsePerPage(req.query.perPage);
+
+    const filter = { webhook_id: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const [totalDeliveries, deliveries] = await Promise.all([
+        WebhookDelivery.countDocuments(filter),
+        WebhookDelivery.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+
+    res.json({
+        success: true,
+        message: 'Webhook deliveries fetched successfully',
+        currentPage: page,
+        totalPages: Math.ceil(totalDeliveries / limit),
+        totalDeliveries: totalDeliveries,
+        deliveries: deliveries
+    });
+}
+
+// Admin: queue a delivery again with the same payload. The original stays in
+// the log as it was; the copy goes out on the worker's next run.
+async function redeliver(req, res) {
+    const webhook = await findWebhook(req.params.id);
+    const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook_id: webhook._id });
+    if (!original) {
+        throw new NotFoundError('Delivery not found');
+    }
+
+    const delivery = await WebhookDelivery.create({
+        webhook_id: webhook._id,
+        event: original.event,
+        payload: original.payload,
+        redelivery_of: original._id,
+        requested_by: req.user.userId
+    });
+
+    res.status(202).json({
+        success: true,
+        message: 'Delivery queued',
+        delivery: delivery
+    });
+}
+
+module.exports = {
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries,
+    redeliver
+};
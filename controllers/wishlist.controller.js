@@ -0,0 +1,73 @@
+const Product = require('../models/product');
+const Wishlist = require('../models/wishlist');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Get current user's wishlist
+async function getWishlist(req, res) {
+    const wishlist = await Wishlist.findOrCreate(req.user.userId);
+    res.json({
+        success: true,
+        message: 'Wishlist fetched successfully',
+        wishlist: await wishlist.toSummary()
+    });
+}
+
+// Save a product; saving it again keeps the original price for drop detection
+async function addItem(req, res) {
+    const product = await Product.findById(req.body.product_id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+
+    const wishlist = await Wishlist.findOrCreate(req.user.userId);
+    if (wishlist.findItem(product._id)) {
+        return res.json({
+            success: true,
+            message: 'Product is already in the wishlist',
+            wishlist: await wishlist.toSummary()
+        });
+    }
+
+    if (wishlist.items.length >= Wishlist.MAX_ITEMS) {
+        throw new ConflictError(
+            `A wishlist can hold at most ${Wishlist.MAX_ITEMS} products`,
+            { product_id: 'Wishlist is full' }
+        );
+    }
+
+    wishlist.items.push({
+        product_id: product._id,
+        price_when_added: product.getCurrentPrice(),
+        name: product.name
+    });
+    await wishlist.save();
+    res.status(201).json({
+        success: true,
+        message: 'Product added to wishlist',
+        wishlist: await wishlist.toSummary()
+    });
+}
+
+// Remove a product from the wishlist
+async function removeItem(req, res) {
+    const wishlist = await Wishlist.findOrCreate(req.user.userId);
+    const item = wishlist.findItem(req.params.productId);
+    if (!item) {
+        throw new NotFoundError('Product not found in wishlist');
+    }
+
+    // Items have no _id, so pull() would need an exact copy to match
+    wishlist.items.splice(wishlist.items.indexOf(item), 1);
+    await wishlist.save();
+    res.json({
+        success: true,
+        message: 'Product removed from wishlist',
+        wishlist: await wishlist.toSummary()
+    });
+}
+
+module.exports = {
+    getWishlist,
+    addItem,
+    removeItem
+};
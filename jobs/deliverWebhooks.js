@@ -0,0 +1,158 @@
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const webhookConfig = require('../config/webhooks');
+const { hasPublicLiteralHost, publicLookup } = require('../utils/publicAddress');
+const { signPayload } = require('../utils/webhooks');
+
+// Attempts kept on a delivery and how much of each response body is stored
+const MAX_LOGGED_ATTEMPTS = 20;
+const MAX_RESPONSE_BODY = 1000;
+
+// Wait before the next attempt after `attemptCount` failed ones
+function retryDelay(attemptCount) {
+    return Math.min(webhookConfig.retryBaseMs * 2 ** (attemptCount - 1), webhookConfig.maxRetryDelayMs);
+}
+
+// POSTs a JSON body and resolves to the status code and the start of the
+// response body. Redirects are not followed: they could send the signed
+// payload somewhere else. Unless allowPrivateUrls is set, only public
+// addresses are connected to, checked again on every attempt.
+function postJson(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const checkAddress = !webhookConfig.allowPrivateUrls;
+        if (checkAddress && !hasPublicLiteralHost(target)) {
+            return reject(new Error(`${url} is not a public address`));
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const options = { method: 'POST', headers: { ...headers, 'Content-Length': Buffer.byteLength(body) } };
+        if (checkAddress) options.lookup = publicLookup;
+
+        const request = client.request(target, options, (response) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                if (text.length < MAX_RESPONSE_BODY) text += chunk;
+            });
+            response.on('end', () => resolve({ status: response.statusCode, body: text.slice(0, MAX_RESPONSE_BODY) }));
+            response.on('error', reject);
+        });
+
+        const timer = setTimeout(() => request.destroy(new Error('Request timed out')), webhookConfig.timeoutMs);
+        request.on('close', () => clearTimeout(timer));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Sends the delivery to the webhook's URL. Resolves to the attempt log entry
+// and whether the endpoint accepted it (any 2xx).
+async function sendRequest(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { attempted_at: new Date() };
+
+    try {
+        const response = await postJson(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'catalogue-webhooks/1.0',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': String(delivery._id),
+            'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+        }, body);
+        attempt.status_code = response.status;
+        attempt.response_body = response.body;
+        return { attempt, ok: response.status >= 200 && response.status < 300 };
+    } catch (error) {
+        attempt.error = error.message;
+        return { attempt, ok: false };
+    } finally {
+        attempt.duration_ms = Date.now() - attempt.attempted_at.getTime();
+    }
+}
+
+// Makes one attempt at a claimed delivery and records the outcome: succeeded,
+// pending again with a backed-off next_attempt_at, or failed after the last attempt
+async function deliverWebhook(delivery) {
+    const webhook = await Webhook.findById(delivery.webhook_id).select('+secret');
+
+    let result;
+    if (!webhook || !webhook.active) {
+        result = {
+            attempt: { attempted_at: new Date(), error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' },
+            ok: false,
+            final: true
+        };
+    } else {
+        result = await sendRequest(webhook, delivery);
+    }
+
+    const attemptCount = delivery.attempt_count + 1;
+    const update = {
+        $push: { attempts: { $each: [result.attempt], $slice: -MAX_LOGGED_ATTEMPTS } },
+        $set: { attempt_count: attemptCount, locked_until: null }
+    };
+    if (result.ok) {
+        update.$set.status = 'succeeded';
+        update.$set.delivered_at = new Date();
+    } else if (result.final || attemptCount >= webhookConfig.maxAttempts) {
+        update.$set.status = 'failed';
+    } else {
+        update.$set.status = 'pending';
+        update.$set.next_attempt_at = new Date(Date.now() + retryDelay(attemptCount));
+    }
+
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+}
+
+// Sends up to batchSize due deliveries, one after another. Resolves to how
+// many were attempted.
+async function processWebhookQueue({ batchSize = webhookConfig.batchSize } = {}) {
+    // Long enough for the request to time out before anyone else may retry it
+    const lockMs = webhookConfig.timeoutMs + 60 * 1000;
+    let processed = 0;
+
+    while (processed < batchSize) {
+        const delivery = await WebhookDelivery.claimNext(lockMs);
+        if (!delivery) break;
+        try {
+            await deliverWebhook(delivery);
+        } catch (error) {
+            // The lock runs out and the delivery is claimed again
+            console.error(`Error delivering webhook ${delivery._id}:`, error);
+        }
+        processed += 1;
+    }
+    return processed;
+}
+
+// Runs processWebhookQueue every intervalMs; a run is skipped while the
+// previous one is still going. Returns the timer so callers can stop it.
+function scheduleWebhookDelivery({ intervalMs = webhookConfig.pollIntervalMs } = {}) {
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processWebhookQueue();
+        } catch (error) {
+            console.error('Error processing webhook queue:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    retryDelay,
+    deliverWebhook,
+    processWebhookQueue,
+    scheduleWebhookDelivery
+};
@@ -0,0 +1,64 @@
+const Product = require('../models/product');
+const Category = require('../models/category');
+const Review = require('../models/review');
+const { removeProductImages } = require('../storage/images');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Permanently removes products and categories that have been in the trash
+// longer than retentionDays, including the stored images and reviews of the products.
+async function purgeTrash({ retentionDays }) {
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+    const result = { products: 0, categories: 0, skippedCategories: 0 };
+
+    const expiredProducts = Product.find({ deleted_at: { $ne: null, $lte: cutoff } }).cursor();
+    for await (const product of expiredProducts) {
+        try {
+            await removeProductImages(product);
+            await Product.deleteOne({ _id: product._id });
+            await Review.deleteMany({ product_id: product._id });
+            result.products += 1;
+        } catch (error) {
+            console.error(`Error purging product ${product._id}:`, error);
+        }
+    }
+
+    // Products purged above no longer hold on to their categories
+    const expiredCategories = await Category.find({ deleted_at: { $ne: null, $lte: cutoff } });
+    for (const category of expiredCategories) {
+        const inUse = await Product.exists({ category_id: category._id }).setOptions({ withDeleted: true });
+        if (inUse) {
+            result.skippedCategories += 1;
+            continue;
+        }
+        await Category.deleteOne({ _id: category._id });
+        result.categories += 1;
+    }
+
+    return result;
+}
+
+// Runs purgeTrash now and then every intervalMinutes. Returns the timer so
+// callers can stop it.
+function schedulePurgeTrash({ retentionDays, intervalMinutes }) {
+    const run = async () => {
+        try {
+            const result = await purgeTrash({ retentionDays });
+            if (result.products || result.categories) {
+                console.log(`Purged ${result.products} product(s) and ${result.categories} category(ies) from trash`);
+            }
+        } catch (error) {
+            console.error('Error purging trash:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    purgeTrash,
+    schedulePurgeTrash
+};
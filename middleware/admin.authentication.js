@@ -1,21 +1,15 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/authTokens');
+const { AuthenticationError } = require('../utils/errors');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ 
-    success: false,
-    message: 'No token provided'
-   });
+  if (!token) return next(new AuthenticationError('No token provided'));
 
   try {
-    const decoded = jwt.verify(token, 'your_jwt_secret');
-    req.user = decoded;
+    req.user = await verifyAccessToken(token);
     next();
   } catch (err) {
-    res.status(401).json({ 
-      success: false,
-      message: 'Invalid token'
-    });
+    next(err);
   }
 };
 
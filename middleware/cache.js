@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const cacheConfig = require('../config/cache');
+const { getCacheStore } = require('../cache');
+
+// [path, value] pairs for every non-empty leaf of a parsed query, with nested
+// keys written back in bracket form, e.g. ['options[Size]', 'M']
+function queryPairs(value, path) {
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => queryPairs(item, `${path}[]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).flatMap((key) => queryPairs(value[key], path ? `${path}[${key}]` : key));
+  }
+  if (value === undefined || value === null) return [];
+  const text = String(value).trim();
+  return text === '' ? [] : [[path, text]];
+}
+
+// Query string with sorted parameters and without empty values, so requests
+// that only differ in parameter order or blank filters share an entry
+function normalizeQuery(query) {
+  return queryPairs(query, '')
+    .map(([path, value]) => `${encodeURIComponent(path)}=${encodeURIComponent(value)}`)
+    .sort()
+    .join('&');
+}
+
+// Sends a cached JSON body, or 304 when the client's copy is still current
+function sendEntry(req, res, entry) {
+  res.set({
+    ETag: entry.etag,
+    'Last-Modified': new Date(entry.lastModified).toUTCString(),
+    // Clients may keep the response but must revalidate before reusing it
+    'Cache-Control': 'no-cache',
+  });
+  if (req.fresh) return res.status(304).end();
+  res.status(200).type('json').send(entry.body);
+}
+
+// Caches successful JSON responses of GET routes. `tags(req)` names what
+// the response depends on, so writes can invalidate it; ttlMs defaults to
+// CACHE_TTL_SECONDS. Put it after the validators so rejected queries never
+// reach the cache, and after any authorization since entries are shared.
+const cacheResponse = ({ name, tags, ttlMs = cacheConfig.ttlMs }) => async (req, res, next) => {
+  if (!cacheConfig.enabled) return next();
+
+  const store = getCacheStore();
+  const key = `${name}:${req.path}?${normalizeQuery(req.query)}`;
+  const since = Date.now();
+
+  let entry;
+  try {
+    entry = await store.get(key);
+  } catch (err) {
+    // A broken cache only costs speed; serve the request normally
+    console.error(`[${req.id}] Error reading cache:`, err);
+  }
+  if (entry) {
+    res.set('X-Cache', 'HIT');
+    return sendEntry(req, res, entry);
+  }
+
+  res.set('X-Cache', 'MISS');
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode !== 200) return json(body);
+
+    const payload = JSON.stringify(body);
+    const fresh = {
+      body: payload,
+      etag: `"${crypto.createHash('sha1').update(payload).digest('base64url')}"`,
+      lastModified: since,
+    };
+    store.set(key, fresh, { ttlMs, tags: tags(req), since })
+      .catch((err) => console.error(`[${req.id}] Error writing cache:`, err));
+    return sendEntry(req, res, fresh);
+  };
+  next();
+};
+
+module.exports = {
+  normalizeQuery,
+  cacheResponse,
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { AppError } = require('../utils/errors');
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: 'File is too large',
+  LIMIT_FILE_COUNT: 'Too many files uploaded',
+  LIMIT_UNEXPECTED_FILE: 'Too many files or unexpected file field',
+};
+
+// Turns anything thrown by the app or its libraries into an AppError
+function normalizeError(err) {
+  if (err instanceof AppError) return err;
+
+  // Malformed ObjectIds and other values Mongoose could not cast
+  if (err instanceof mongoose.Error.CastError) {
+    return new AppError(`Invalid ${err.path}`, {
+      status: 400,
+      code: 'INVALID_ID',
+      errors: { [err.path]: `Invalid value for ${err.path}` },
+    });
+  }
+
+  // Ids built by hand with new mongoose.Types.ObjectId(...)
+  if (err.name === 'BSONError') {
+    return new AppError('Invalid ID', { status: 400, code: 'INVALID_ID' });
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = {};
+    Object.values(err.errors).forEach((error) => {
+      errors[error.path] = error.message;
+    });
+    return new AppError('Validation failed', { status: 400, code: 'VALIDATION_FAILED', errors });
+  }
+
+  // Unique index violations (E11000)
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    const errors = {};
+    fields.forEach((field) => {
+      errors[field] = `${field} already exists`;
+    });
+    return new AppError('Duplicate value', { status: 409, code: 'DUPLICATE_KEY', errors });
+  }
+
+  if (err instanceof multer.MulterError) {
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    return new AppError(MULTER_MESSAGES[err.code] || 'Error uploading file', {
+      status: tooLarge ? 413 : 400,
+      code: tooLarge ? 'FILE_TOO_LARGE' : 'UPLOAD_ERROR',
+      errors: { [err.field || 'file']: err.message },
+    });
+  }
+
+  // body-parser errors (malformed JSON, payload too large, ...)
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('Request body is not valid JSON', { status: 400, code: 'INVALID_JSON' });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, { status: err.status, code: 'BAD_REQUEST' });
+  }
+
+  return null;
+}
+
+// 404 for requests no route matched
+const notFoundHandler = (req, res, next) => {
+  next(new AppError(`Route ${req.method} ${req.path} not found`, { status: 404, code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Registered last; every error response goes through here. Express only
+// treats it as an error handler because it takes four arguments.
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    console.error(`[${req.id}]`, err);
+    return res.destroy(err);
+  }
+
+  let error = normalizeError(err);
+  if (!error) {
+    console.error(`[${req.id}]`, err);
+    error = new AppError('Internal server error');
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    errors: error.errors,
+    code: error.code,
+    requestId: req.id,
+    ...error.details,
+  });
+};
+
+module.exports = {
+  errorHandler,
+  notFoundHandler,
+};
@@ -0,0 +1,20 @@
+const { verifyAccessToken } = require('../utils/authTokens');
+const { AuthenticationError } = require('../utils/errors');
+
+// For public routes that do a little more for logged-in callers: sets req.user
+// when a valid token is sent. A missing or stale token is ignored rather than
+// rejected, so browsing keeps working after a session expires.
+const optionalAuthentication = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) return next();
+
+  try {
+    req.user = await verifyAccessToken(token);
+    next();
+  } catch (err) {
+    if (err instanceof AuthenticationError) return next();
+    next(err);
+  }
+};
+
+module.exports = optionalAuthentication;
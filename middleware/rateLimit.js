@@ -0,0 +1,42 @@
+const rateLimitConfig = require('../config/rateLimits');
+const { getRateLimitStore } = require('../rateLimit');
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Limits clients to `max` requests per `windowMs`. keyBy 'user' counts per
+// logged-in user and must run after authMiddleware; requests without a user
+// fall back to the IP. `name` keeps the counters of different limits apart.
+const rateLimit = ({ name, windowMs, max, keyBy = 'ip' }) => async (req, res, next) => {
+  if (!rateLimitConfig.enabled) return next();
+
+  const client = keyBy === 'user' && req.user ? `user:${req.user.userId}` : `ip:${req.ip}`;
+
+  let hit;
+  try {
+    hit = await getRateLimitStore().increment(`${name}:${client}`, windowMs);
+  } catch (err) {
+    return next(err);
+  }
+
+  const remaining = Math.max(0, max - hit.count);
+  const retryAfter = Math.max(1, Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(retryAfter),
+  });
+
+  if (hit.count > max) {
+    return next(new TooManyRequestsError('Too many requests, please try again later', retryAfter));
+  }
+  next();
+};
+
+// The limits from config/rateLimits.js, ready to put on routes
+const limiters = Object.fromEntries(
+  ['api', 'login', 'auth', 'upload'].map((name) => [name, rateLimit({ name, ...rateLimitConfig[name] })])
+);
+
+module.exports = {
+  rateLimit,
+  limiters,
+};
@@ -0,0 +1,20 @@
+const Product = require('../models/product');
+const RecentlyViewed = require('../models/recentlyViewed');
+
+// Adds the product in req.params.id to a logged-in caller's recently viewed
+// history. Runs ahead of the response cache so cached pages still count.
+const recordProductView = async (req, res, next) => {
+  if (!req.user) return next();
+
+  try {
+    if (await Product.exists({ _id: req.params.id })) {
+      await RecentlyViewed.recordView(req.user.userId, req.params.id);
+    }
+  } catch (error) {
+    // The history is a nicety; never fail the product page over it
+    console.error('Error recording recently viewed product:', error);
+  }
+  next();
+};
+
+module.exports = recordProductView;
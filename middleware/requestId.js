@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Reuse an id set by a proxy in front of us, as long as it looks sane
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Gives every request an id, echoed in X-Request-Id and in error responses,
+// so a client report can be matched with the server log
+const requestId = (req, res, next) => {
+  const incoming = req.header('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,12 @@
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+
+// Must run after authMiddleware, which puts the decoded token on req.user
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) return next(new AuthenticationError('No token provided'));
+
+  if (!roles.includes(req.user.role)) return next(new ForbiddenError());
+
+  next();
+};
+
+module.exports = authorize;
@@ -0,0 +1,29 @@
+const multer = require('multer');
+
+const MAX_GALLERY_UPLOAD = 10;
+
+const uploader = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    // You can add file type checking here if needed
+    cb(null, true);
+  }
+});
+
+// Multer errors (size, file count, ...) are turned into responses by the error handler
+const handleUpload = uploader.single('image');
+const handleGalleryUpload = uploader.array('images', MAX_GALLERY_UPLOAD);
+
+// Bulk import files are parsed in memory, so they get their own, larger limit
+const handleImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+}).single('file');
+
+module.exports = {
+  MAX_GALLERY_UPLOAD,
+  handleUpload,
+  handleGalleryUpload,
+  handleImportUpload,
+};
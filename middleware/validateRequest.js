@@ -0,0 +1,12 @@
+const { validationResult } = require('express-validator');
+const { ValidationError, fieldErrors } = require('../utils/errors');
+
+// Runs after a route's express-validator chains and stops the request
+// with a 400 when any of them failed
+const validateRequest = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) return next();
+  next(new ValidationError(fieldErrors(result.array())));
+};
+
+module.exports = validateRequest;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const auditChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+// One entry per change an authenticated user made to catalogue data, coupons
+// or webhooks, and per admin change to a review or an order
+const auditLogSchema = new mongoose.Schema({
+  entity: { type: String, required: true },
+  entity_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  action: { type: String, enum: ['create', 'update', 'delete', 'restore'], required: true },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // e.g. "PUT /api/product/66f0..."
+  route: { type: String },
+  changes: [auditChangeSchema],
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ entity: 1, entity_id: 1, createdAt: -1 });
+auditLogSchema.index({ user_id: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
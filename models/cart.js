@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  // Kept so the cart can still name a product after it has been deleted
+  name: { type: String },
+  product_deleted: { type: Boolean, default: false },
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: [cartItemSchema],
+}, { timestamps: true });
+
+cartSchema.statics.findOrCreate = function (userId) {
+  return this.findOneAndUpdate(
+    { user_id: userId },
+    { $setOnInsert: { user_id: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+// Flag the product in every cart holding it, called when a product is deleted
+cartSchema.statics.markProductDeleted = function (productId, deleted = true) {
+  return this.updateMany(
+    { 'items.product_id': productId },
+    { $set: { 'items.$[item].product_deleted': deleted } },
+    { arrayFilters: [{ 'item.product_id': productId }] }
+  );
+};
+
+cartSchema.methods.findItem = function (productId) {
+  return this.items.find((item) => String(item.product_id) === String(productId));
+};
+
+// Builds the response body for the cart. Prices always come from the current
+// product (its sale price during a sale), never from the time the item was added.
+cartSchema.methods.toSummary = async function () {
+  const Product = mongoose.model('Product');
+  const products = await Product.find({ _id: { $in: this.items.map((item) => item.product_id) } })
+    .select('name price sale_price sale_starts_at sale_ends_at quantity thumbnail_image');
+  const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+  let subtotal = 0;
+  let itemCount = 0;
+
+  const items = this.items.map((item) => {
+    const product = productsById.get(String(item.product_id));
+
+    let status = 'ok';
+    if (!product || item.product_deleted) status = 'unavailable';
+    else if (product.quantity <= 0) status = 'out_of_stock';
+    else if (item.quantity > product.quantity) status = 'insufficient_stock';
+
+    const unitPrice = product ? product.getCurrentPrice() : null;
+    const lineTotal = status === 'ok' ? unitPrice * item.quantity : 0;
+    if (status === 'ok') {
+      subtotal += lineTotal;
+      itemCount += item.quantity;
+    }
+
+    return {
+      product_id: item.product_id,
+      name: product ? product.name : item.name,
+      thumbnail_image: product ? product.thumbnail_image : null,
+      regular_price: product ? product.price : null,
+      unit_price: unitPrice,
+      quantity: item.quantity,
+      available_quantity: product ? product.quantity : 0,
+      line_total: lineTotal,
+      status,
+    };
+  });
+
+  return {
+    items,
+    itemCount,
+    subtotal,
+    hasIssues: items.some((item) => item.status !== 'ok'),
+  };
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
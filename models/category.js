@@ -1,9 +1,67 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const cacheInvalidation = require('./plugins/cacheInvalidation');
 
 const categorySchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true },
   description: { type: String },
+  parent_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null, index: true },
   // Add any other fields you need for your category
-});
+}, { timestamps: true });
 
-module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
+categorySchema.plugin(softDelete);
+categorySchema.plugin(cacheInvalidation, { tag: 'categories' });
+
+// Ids of every category below the given one (children, grandchildren, ...)
+categorySchema.statics.getDescendantIds = async function (categoryId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent_id',
+        restrictSearchWithMatch: { deleted_at: null },
+        as: 'descendants',
+      },
+    },
+    { $project: { ids: '$descendants._id' } },
+  ]);
+  return result ? result.ids : [];
+};
+
+// True when making parentId the parent of categoryId would loop back on itself
+categorySchema.statics.wouldCreateCycle = async function (categoryId, parentId) {
+  let currentId = parentId ? String(parentId) : null;
+  const visited = new Set();
+
+  while (currentId) {
+    if (currentId === String(categoryId)) return true;
+    // Guard against cycles that already exist in the data
+    if (visited.has(currentId)) return true;
+    visited.add(currentId);
+
+    const current = await this.findById(currentId).select('parent_id').lean();
+    currentId = current && current.parent_id ? String(current.parent_id) : null;
+  }
+  return false;
+};
+
+// Nest a flat list of categories under their parents
+categorySchema.statics.buildTree = function (categories) {
+  const nodes = new Map();
+  categories.forEach((category) => {
+    nodes.set(String(category._id), { ...category, children: [] });
+  });
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent_id ? nodes.get(String(node.parent_id)) : null;
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
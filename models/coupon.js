@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const CouponRedemption = require('./couponRedemption');
+
+const COUPON_TYPES = ['percentage', 'fixed'];
+
+const couponSchema = new mongoose.Schema({
+  // Stored upper-case; codes are matched case-insensitively
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String },
+  type: { type: String, enum: COUPON_TYPES, required: true },
+  // Percent off (0-100) or an amount off, depending on type
+  value: { type: Number, required: true, min: 0 },
+  // Upper bound for percentage discounts
+  max_discount: { type: Number, min: 0, default: null },
+  // Basket subtotal needed before the coupon applies
+  min_order_value: { type: Number, min: 0, default: 0 },
+  // When either list is set the discount only covers matching lines;
+  // categories include their subcategories
+  product_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  category_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  starts_at: { type: Date, default: null },
+  ends_at: { type: Date, default: null },
+  active: { type: Boolean, default: true },
+  // null means unlimited
+  usage_limit: { type: Number, min: 1, default: null },
+  usage_limit_per_user: { type: Number, min: 1, default: null },
+  times_used: { type: Number, default: 0 },
+}, { timestamps: true });
+
+couponSchema.statics.TYPES = COUPON_TYPES;
+
+couponSchema.pre('validate', function () {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100');
+  }
+  if (this.starts_at && this.ends_at && this.ends_at <= this.starts_at) {
+    this.invalidate('ends_at', 'ends_at must be after starts_at');
+  }
+});
+
+couponSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Takes one use of the coupon for the user. Counters are incremented first and
+// rolled back when that went over a cap, so concurrent checkouts can't exceed it.
+// Resolves to null on success or the reason code when a cap was reached.
+couponSchema.statics.redeem = async function (coupon, userId) {
+  const updated = await this.findByIdAndUpdate(coupon._id, { $inc: { times_used: 1 } }, { new: true });
+  if (!updated) return 'COUPON_NOT_FOUND';
+  if (updated.usage_limit !== null && updated.times_used > updated.usage_limit) {
+    await this.updateOne({ _id: coupon._id }, { $inc: { times_used: -1 } });
+    return 'COUPON_USAGE_LIMIT';
+  }
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { coupon_id: coupon._id, user_id: userId },
+    { $inc: { count: 1 } },
+    { upsert: true, new: true }
+  );
+  if (updated.usage_limit_per_user !== null && redemption.count > updated.usage_limit_per_user) {
+    await this.release(coupon._id, userId);
+    return 'COUPON_USER_LIMIT';
+  }
+  return null;
+};
+
+// Gives a use back, e.g. when the order it was spent on is cancelled
+couponSchema.statics.release = async function (couponId, userId) {
+  await this.updateOne({ _id: couponId, times_used: { $gt: 0 } }, { $inc: { times_used: -1 } });
+  await CouponRedemption.updateOne(
+    { coupon_id: couponId, user_id: userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// How many times a user has used a coupon, for per-user caps
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  count: { type: Number, default: 0 },
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon_id: 1, user_id: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
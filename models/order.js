@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled'];
+
+// Which statuses an order may move to from each status
+const STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+// Product details are copied at checkout so later catalogue edits don't change past orders
+const orderItemSchema = new mongoose.Schema({
+  product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  name: { type: String, required: true },
+  // Variant sold, for products with variants
+  sku: { type: String, default: null },
+  // Unit price paid (the sale price during a sale) and the list price at the time
+  price: { type: Number, required: true },
+  regular_price: { type: Number },
+  thumbnail_image: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  // This line's share of the coupon discount
+  discount: { type: Number, default: 0 },
+  line_total: { type: Number, required: true },
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: ORDER_STATUSES, required: true },
+  changed_at: { type: Date, default: Date.now },
+  changed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String },
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  items: { type: [orderItemSchema], required: true },
+  subtotal: { type: Number },
+  discount_total: { type: Number, default: 0 },
+  coupon: {
+    coupon_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    code: { type: String },
+    amount: { type: Number },
+  },
+  total: { type: Number, required: true },
+  status: { type: String, enum: ORDER_STATUSES, default: 'pending', index: true },
+  status_history: [statusChangeSchema],
+}, { timestamps: true });
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.TRANSITIONS = STATUS_TRANSITIONS;
+
+// True when the user has an order for the product that got past payment
+orderSchema.statics.hasPurchased = async function (userId, productId) {
+  const order = await this.exists({
+    user_id: userId,
+    'items.product_id': productId,
+    status: { $in: ['paid', 'shipped', 'delivered'] },
+  });
+  return Boolean(order);
+};
+
+orderSchema.methods.canTransitionTo = function (status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Moves the order to a new status. The update only applies if the status is
+// still the one this document was loaded with, so two concurrent requests can't
+// both cancel (and both restock) the same order. Resolves to null when that happens.
+orderSchema.methods.transitionTo = async function (status, actorId, note) {
+  const Order = this.constructor;
+  const updated = await Order.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    {
+      $set: { status },
+      $push: { status_history: { status, changed_by: actorId, note } },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  if (status === 'cancelled') {
+    await mongoose.model('Product').releaseStock(this.items);
+    await mongoose.model('StockMovement').record(this.items.map((item) => ({
+      product_id: item.product_id,
+      sku: item.sku,
+      type: 'cancellation',
+      delta: item.quantity,
+      reference: String(this._id),
+      user_id: actorId,
+    })));
+    if (this.coupon && this.coupon.coupon_id) {
+      await mongoose.model('Coupon').release(this.coupon.coupon_id, this.user_id);
+    }
+  }
+  return updated;
+};
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { getCacheStore } = require('../../cache');
+
+// Ids a query filter is limited to, or null when it could match anything
+function filterIds(filter) {
+  const id = filter && filter._id;
+  if (!id) return null;
+  if (id instanceof mongoose.Types.ObjectId || typeof id === 'string') return [id];
+  if (Array.isArray(id.$in)) return id.$in;
+  return null;
+}
+
+// Clears cached responses after every write to the model. `tag` covers all
+// entries built from the collection; with `documentTag`, entries for a single
+// document are tagged documentTag(id) and also `${tag}:documents`, which is
+// cleared when a write can't be narrowed down to ids.
+function cacheInvalidationPlugin(schema, { tag, documentTag }) {
+  const invalidate = async (ids) => {
+    const tags = [tag];
+    if (documentTag) {
+      if (ids) tags.push(...ids.map((id) => documentTag(id)));
+      else tags.push(`${tag}:documents`);
+    }
+    try {
+      await getCacheStore().invalidate(tags);
+    } catch (error) {
+      console.error('Error invalidating cache:', error);
+    }
+  };
+
+  schema.post('save', async function () {
+    await invalidate([this._id]);
+  });
+
+  schema.post(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], async function () {
+    await invalidate(filterIds(this.getFilter()));
+  });
+
+  schema.post('insertMany', async function (docs) {
+    await invalidate(docs.map((doc) => doc._id));
+  });
+
+  schema.post('bulkWrite', async function () {
+    await invalidate(null);
+  });
+}
+
+module.exports = cacheInvalidationPlugin;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Adds deleted_at/deleted_by and hides soft-deleted documents from every
+// find, count and aggregate unless the query opts in with
+// .setOptions({ withDeleted: true }) (or `{ withDeleted: true }` for aggregate()).
+// Queries that filter on deleted_at themselves are left alone.
+function softDeletePlugin(schema) {
+  schema.add({
+    deleted_at: { type: Date, default: null, index: true },
+    deleted_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  });
+
+  const hideDeleted = function () {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deleted_at')) return;
+    this.where({ deleted_at: null });
+  };
+
+  ['find', 'findOne', 'findOneAndUpdate', 'countDocuments'].forEach((operation) => {
+    schema.pre(operation, hideDeleted);
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) return;
+    const pipeline = this.pipeline();
+    // $text and $geoNear must stay in the first stage, so merge into an opening $match
+    if (pipeline.length && pipeline[0].$match) {
+      if (!Object.prototype.hasOwnProperty.call(pipeline[0].$match, 'deleted_at')) {
+        pipeline[0].$match = { ...pipeline[0].$match, deleted_at: null };
+      }
+    } else if (!pipeline.length || !pipeline[0].$geoNear) {
+      pipeline.unshift({ $match: { deleted_at: null } });
+    }
+  });
+
+  schema.methods.softDelete = function (actorId) {
+    this.deleted_at = new Date();
+    this.deleted_by = actorId || null;
+    return this.save();
+  };
+
+  schema.methods.restore = function () {
+    this.deleted_at = null;
+    this.deleted_by = null;
+    return this.save();
+  };
+}
+
+module.exports = softDeletePlugin;
@@ -1,14 +1,271 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const cacheInvalidation = require('./plugins/cacheInvalidation');
+
+const imageVariantSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  key: { type: String },
+  width: { type: Number },
+  height: { type: Number },
+  format: { type: String },
+}, { _id: false });
+
+// url/thumbnail_url mirror the configured primary and thumbnail variants
+const productImageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  key: { type: String },
+  thumbnail_url: { type: String, required: true },
+  thumbnail_key: { type: String },
+  // Every configured rendition by name (thumb, card, ...)
+  variants: { type: Map, of: imageVariantSchema },
+  // The untouched upload, source for regenerating variants
+  original: {
+    url: { type: String },
+    key: { type: String },
+  },
+  is_primary: { type: Boolean, default: false },
+});
+
+// An option such as Size with the values variants may pick from
+const productOptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  values: { type: [String], required: true },
+}, { _id: false });
+
+// A sellable SKU: one value for each of the product's options
+const productVariantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  options: { type: Map, of: String, default: {} },
+  // Falls back to the product price when not set
+  price: { type: Number, min: 0 },
+  quantity: { type: Number, required: true, min: 0, default: 0 },
+  // _id of an entry in the product's images
+  image_id: { type: mongoose.Schema.Types.ObjectId },
+});
 
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true },
   title: { type: String, required: true },
   description: { type: String, required: true },
+  // Copies of the primary gallery image, kept for clients that predate the gallery
   image: { type: String, required: true },
   thumbnail_image: { type: String, required: true },
+  // Storage driver keys for the two images above
+  image_key: { type: String },
+  thumbnail_key: { type: String },
+  // Gallery in display order
+  images: [productImageSchema],
   price: { type: Number, required: true },
+  // Time-boxed sale; either end of the window may be left open
+  sale_price: { type: Number, min: 0, default: null },
+  sale_starts_at: { type: Date, default: null },
+  sale_ends_at: { type: Date, default: null },
   quantity: { type: Number, required: true },
-  category_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true }
+  // Stock at or below this shows up in the low-stock report; null uses the default
+  low_stock_threshold: { type: Number, min: 0, default: null },
+  category_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+  options: [productOptionSchema],
+  variants: [productVariantSchema],
+  // Kept up to date from the approved reviews by Review.refreshProductRating
+  average_rating: { type: Number, default: null },
+  review_count: { type: Number, default: 0 }
+}, { timestamps: true });
+
+productSchema.plugin(softDelete);
+productSchema.plugin(cacheInvalidation, { tag: 'products', documentTag: (id) => `product:${id}` });
+
+// SKU codes are unique across the whole catalogue
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+// Ranked search for GET /api/products?q=
+productSchema.index(
+  { name: 'text', title: 'text', description: 'text' },
+  { name: 'product_text_search', weights: { name: 10, title: 5, description: 1 } }
+);
+
+productSchema.pre('validate', function () {
+  this.syncPrimaryImage();
+});
+
+productSchema.pre('validate', function () {
+  if (!this.isModified('sale_price') && !this.isModified('sale_starts_at') && !this.isModified('sale_ends_at')) return;
+  if (this.sale_price !== null && this.sale_price >= this.price) {
+    this.invalidate('sale_price', 'Sale price must be below the regular price');
+  }
+  if (this.sale_starts_at && this.sale_ends_at && this.sale_ends_at <= this.sale_starts_at) {
+    this.invalidate('sale_ends_at', 'Sale end must be after its start');
+  }
 });
 
+productSchema.pre('validate', function () {
+  if (!this.isModified('options') && !this.isModified('variants')) return;
+
+  const optionValues = new Map(this.options.map((option) => [option.name, option.values]));
+  if (optionValues.size !== this.options.length) {
+    this.invalidate('options', 'Option names must be unique');
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+  this.variants.forEach((variant, index) => {
+    if (skus.has(variant.sku)) {
+      this.invalidate(`variants.${index}.sku`, `Duplicate SKU ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+
+    const options = variant.options || new Map();
+    for (const [name, values] of optionValues) {
+      if (!values.includes(options.get(name))) {
+        this.invalidate(`variants.${index}.options`, `${variant.sku} needs one of ${values.join(', ')} for ${name}`);
+      }
+    }
+    for (const name of options.keys()) {
+      if (!optionValues.has(name)) {
+        this.invalidate(`variants.${index}.options`, `${variant.sku} uses unknown option ${name}`);
+      }
+    }
+
+    const combination = [...optionValues.keys()].map((name) => options.get(name)).join('\u0000');
+    if (combinations.has(combination)) {
+      this.invalidate(`variants.${index}.options`, `${variant.sku} repeats the options of another variant`);
+    }
+    combinations.add(combination);
+
+    if (variant.image_id && !this.images.id(variant.image_id)) {
+      this.invalidate(`variants.${index}.image_id`, `${variant.sku} references an image the product doesn't have`);
+    }
+  });
+
+  // With variants the product's stock is the sum of theirs
+  if (this.variants.length) {
+    this.quantity = this.variants.reduce((sum, variant) => sum + variant.quantity, 0);
+  }
+});
+
+// True while the sale window includes `now`
+productSchema.methods.isOnSale = function (now = new Date()) {
+  if (this.sale_price === null || this.sale_price === undefined || this.sale_price >= this.price) return false;
+  if (this.sale_starts_at && this.sale_starts_at > now) return false;
+  if (this.sale_ends_at && this.sale_ends_at <= now) return false;
+  return true;
+};
+
+// What the product sells for right now
+productSchema.methods.getCurrentPrice = function (now = new Date()) {
+  return this.isOnSale(now) ? this.sale_price : this.price;
+};
+
+// Lowest and highest price a shopper can pay, across variants when there are any
+productSchema.methods.getPriceRange = function () {
+  const prices = this.variants && this.variants.length
+    ? this.variants.map((variant) => (variant.price !== undefined && variant.price !== null ? variant.price : this.price))
+    : [this.price];
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+};
+
+// Products created before the gallery only have image/thumbnail_image;
+// turn those into the first gallery entry before editing the gallery
+productSchema.methods.ensureGallery = function () {
+  if (this.images.length || !this.image) return;
+  this.images.push({
+    url: this.image,
+    key: this.image_key,
+    thumbnail_url: this.thumbnail_image,
+    thumbnail_key: this.thumbnail_key,
+    is_primary: true,
+  });
+};
+
+// Keeps exactly one primary image (the first one if none is marked)
+// and mirrors it into the legacy image fields
+productSchema.methods.syncPrimaryImage = function () {
+  if (!this.images.length) return;
+
+  const primary = this.images.find((image) => image.is_primary) || this.images[0];
+  this.images.forEach((image) => {
+    image.is_primary = image === primary;
+  });
+
+  this.image = primary.url;
+  this.image_key = primary.key;
+  this.thumbnail_image = primary.thumbnail_url;
+  this.thumbnail_key = primary.thumbnail_key;
+};
+
+productSchema.methods.setPrimaryImage = function (imageId) {
+  const image = this.images.id(imageId);
+  if (!image) return false;
+  this.images.forEach((entry) => {
+    entry.is_primary = entry === image;
+  });
+  this.syncPrimaryImage();
+  return true;
+};
+
+// Atomically takes stock for every { product_id, sku, quantity } line, from
+// the variant too when the line has a SKU. Either all lines are reserved or
+// none are: on the first line that cannot be filled, the lines already taken
+// are put back.
+productSchema.statics.reserveStock = async function (lines) {
+  const reserved = [];
+  for (const line of lines) {
+    const product = await this.adjustStock(line.product_id, -line.quantity, line.sku);
+    if (!product) {
+      await this.releaseStock(reserved.map(({ line: taken }) => taken));
+      const current = await this.findById(line.product_id).select('name quantity variants.sku variants.quantity');
+      const variant = current && line.sku ? current.variants.find((entry) => entry.sku === line.sku) : null;
+      let available = current ? current.quantity : 0;
+      if (line.sku) available = variant ? variant.quantity : 0;
+      return {
+        success: false,
+        failed: {
+          product_id: line.product_id,
+          name: current ? current.name : null,
+          available,
+        },
+      };
+    }
+    reserved.push({ line, product });
+  }
+  return { success: true, products: reserved.map(({ product }) => product) };
+};
+
+// Atomically changes a product's stock by delta, and that of its variant when
+// a SKU is given. Stock can't go below zero: resolves to null when the product
+// (or variant) is missing or doesn't have enough for a negative delta.
+productSchema.statics.adjustStock = function (productId, delta, sku) {
+  const filter = { _id: productId };
+  const update = { $inc: { quantity: delta } };
+  const options = { new: true };
+
+  if (sku) {
+    filter.variants = delta < 0
+      ? { $elemMatch: { sku, quantity: { $gte: -delta } } }
+      : { $elemMatch: { sku } };
+    update.$inc['variants.$[variant].quantity'] = delta;
+    options.arrayFilters = [{ 'variant.sku': sku }];
+  }
+  if (delta < 0) {
+    filter.quantity = { $gte: -delta };
+  }
+
+  return this.findOneAndUpdate(filter, update, options);
+};
+
+// Puts stock back for every { product_id, sku, quantity } line
+productSchema.statics.releaseStock = function (lines) {
+  if (!lines.length) return Promise.resolve();
+  return this.bulkWrite(lines.map((line) => {
+    const updateOne = {
+      filter: { _id: line.product_id },
+      update: { $inc: { quantity: line.quantity } },
+    };
+    if (line.sku) {
+      updateOne.update.$inc['variants.$[variant].quantity'] = line.quantity;
+      updateOne.arrayFilters = [{ 'variant.sku': line.sku }];
+    }
+    return { updateOne };
+  }));
+};
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// How many products the history keeps per user
+const MAX_RECENTLY_VIEWED = 20;
+
+const viewSchema = new mongoose.Schema({
+  product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  viewed_at: { type: Date, required: true },
+}, { _id: false });
+
+// Products a user opened, newest first, each at most once
+const recentlyViewedSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: [viewSchema],
+}, { timestamps: true });
+
+recentlyViewedSchema.statics.MAX_ITEMS = MAX_RECENTLY_VIEWED;
+
+// Moves the product to the front of the user's history in one update, dropping
+// its earlier entry and anything past the limit, so parallel views can't duplicate it
+recentlyViewedSchema.statics.recordView = function (userId, productId) {
+  const id = new mongoose.Types.ObjectId(productId);
+  return this.updateOne(
+    { user_id: userId },
+    [{
+      $set: {
+        user_id: { $ifNull: ['$user_id', new mongoose.Types.ObjectId(userId)] },
+        items: {
+          $slice: [
+            {
+              $concatArrays: [
+                [{ product_id: id, viewed_at: '$$NOW' }],
+                {
+                  $filter: {
+                    input: { $ifNull: ['$items', []] },
+                    cond: { $ne: ['$$this.product_id', id] },
+                  },
+                },
+              ],
+            },
+            MAX_RECENTLY_VIEWED,
+          ],
+        },
+      },
+    }],
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('RecentlyViewed', recentlyViewedSchema);
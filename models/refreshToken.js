@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+// Every token belongs to a family that starts at login. Rotating a token revokes
+// it and issues the next one in the same family, so presenting a revoked token
+// again means it was stolen and the whole family is revoked.
+const refreshTokenSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  token_hash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  expires_at: { type: Date, required: true },
+  revoked_at: { type: Date, default: null },
+  replaced_by: { type: String, default: null },
+}, { timestamps: true });
+
+// Let MongoDB drop expired tokens on its own
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.statics.hash = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Creates and stores a new token, returning the raw value for the client
+refreshTokenSchema.statics.issue = async function (userId, ttlDays, family) {
+  const token = crypto.randomBytes(48).toString('hex');
+  await this.create({
+    user_id: userId,
+    token_hash: this.hash(token),
+    family: family || crypto.randomUUID(),
+    expires_at: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+  });
+  return token;
+};
+
+refreshTokenSchema.statics.revokeFamily = function (family) {
+  return this.updateMany({ family, revoked_at: null }, { $set: { revoked_at: new Date() } });
+};
+
+refreshTokenSchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany({ user_id: userId, revoked_at: null }, { $set: { revoked_at: new Date() } });
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
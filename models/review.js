@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['approved', 'hidden'];
+
+const reviewSchema = new mongoose.Schema({
+  product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  title: { type: String, trim: true },
+  body: { type: String, trim: true },
+  // Shown instead of the author's email, which stays private
+  author_name: { type: String, trim: true },
+  // The author had a paid (or later) order containing the product
+  verified_purchase: { type: Boolean, default: false },
+  // Reviews are published straight away; admins hide them and approve them again
+  status: { type: String, enum: REVIEW_STATUSES, default: 'approved', index: true },
+  moderated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  moderated_at: { type: Date },
+  moderation_note: { type: String },
+}, { timestamps: true });
+
+// One review per user and product
+reviewSchema.index({ product_id: 1, user_id: 1 }, { unique: true });
+reviewSchema.index({ product_id: 1, status: 1, createdAt: -1 });
+
+reviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+// Average rating, review count and { rating: count } over the approved reviews of a product
+reviewSchema.statics.summarize = async function (productId) {
+  const groups = await this.aggregate([
+    { $match: { product_id: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+
+  const ratingCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let count = 0;
+  groups.forEach((group) => {
+    ratingCounts[group._id] = group.count;
+    total += group._id * group.count;
+    count += group.count;
+  });
+
+  return {
+    averageRating: count ? Math.round((total / count) * 100) / 100 : null,
+    reviewCount: count,
+    ratingCounts,
+  };
+};
+
+// Copies the summary onto the product so listings can show and sort by it.
+// Call after any change to a product's reviews.
+reviewSchema.statics.refreshProductRating = async function (productId) {
+  const { averageRating, reviewCount } = await this.summarize(productId);
+  // Not a catalogue edit, so leave updatedAt alone; trashed products are updated too
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    { $set: { average_rating: averageRating, review_count: reviewCount } },
+    { timestamps: false }
+  );
+  return { averageRating, reviewCount };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { queueWebhookEvent } = require('../utils/webhooks');
+
+// initial: opening balance (new product or the ledger seed script)
+// receipt: stock received, adjustment: manual correction or product edit,
+// sale / cancellation: checkout and cancelled orders, import: bulk import
+const MOVEMENT_TYPES = ['initial', 'receipt', 'adjustment', 'sale', 'cancellation', 'import'];
+
+// One change to a product's stock. The deltas of a product add up to its quantity.
+const stockMovementSchema = new mongoose.Schema({
+  product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  // Set when the change was to one variant
+  sku: { type: String, default: null },
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  delta: { type: Number, required: true },
+  // Product quantity right after the change, when known
+  quantity_after: { type: Number, default: null },
+  reason: { type: String },
+  // Order id, supplier invoice, ...
+  reference: { type: String },
+  // Missing for changes made by scripts
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.index({ product_id: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+stockMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+// Stores movements and queues one product.stock_changed webhook event per
+// product. Opening balances are left out: a new product's stock comes with
+// product.created, and the ledger seed script changes nothing. A failed
+// insert is logged rather than thrown, and the event is still queued: the
+// stock itself has already changed, only its history is incomplete.
+stockMovementSchema.statics.record = async function (movements) {
+  const documents = (Array.isArray(movements) ? movements : [movements]).filter((movement) => movement.delta);
+  if (!documents.length) return;
+  try {
+    await this.insertMany(documents);
+  } catch (error) {
+    console.error('Error recording stock movements:', error);
+  }
+
+  const byProduct = new Map();
+  documents.filter((movement) => movement.type !== 'initial').forEach((movement) => {
+    const key = String(movement.product_id);
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push(movement);
+  });
+  for (const [productId, productMovements] of byProduct) {
+    const last = productMovements[productMovements.length - 1];
+    await queueWebhookEvent('product.stock_changed', {
+      product_id: productId,
+      quantity: last.quantity_after === undefined ? null : last.quantity_after,
+      movements: productMovements.map((movement) => ({
+        sku: movement.sku || null,
+        type: movement.type,
+        delta: movement.delta,
+        reason: movement.reason,
+        reference: movement.reference,
+      })),
+    });
+  }
+};
+
+// Sum of a product's deltas and how many movements it has
+stockMovementSchema.statics.balance = async function (productId) {
+  const [result] = await this.aggregate([
+    { $match: { product_id: new mongoose.Types.ObjectId(productId) } },
+    { $group: { _id: null, quantity: { $sum: '$delta' }, movements: { $sum: 1 } } },
+  ]);
+  return result ? { quantity: result.quantity, movements: result.movements } : { quantity: 0, movements: 0 };
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -1,4 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+
+const SALT_ROUNDS = 10;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -10,6 +14,100 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Set by scripts/flag-legacy-passwords.js on accounts from before passwords
+  // were hashed; cleared when the password is hashed on the next login
+  legacy_password: {
+    type: Boolean,
+    default: false,
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'admin'],
+    default: 'customer',
+  },
+  password_changed_at: {
+    type: Date,
+    default: null,
+  },
+  failed_login_attempts: {
+    type: Number,
+    default: 0,
+  },
+  locked_until: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+// Every password assigned through the model is plaintext and gets hashed
+userSchema.pre('save', async function () {
+  if (!this.isModified('password')) return;
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+  this.legacy_password = false;
 });
 
+// True while the stored password is still a legacy plaintext value
+userSchema.methods.hasLegacyPassword = function () {
+  return this.legacy_password;
+};
+
+// Use for real password changes; assigning `password` directly (as the
+// rehash on login does) leaves existing sessions valid
+userSchema.methods.setPassword = function (password) {
+  this.password = password;
+  this.password_changed_at = new Date();
+};
+
+// Tokens carry `iat` in whole seconds, so compare at that resolution
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.password_changed_at) return false;
+  return Math.floor(this.password_changed_at.getTime() / 1000) > issuedAt;
+};
+
+userSchema.methods.comparePassword = async function (candidate) {
+  if (this.hasLegacyPassword()) {
+    // Compare digests so the check takes the same time whatever the input
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(this.password), digest(candidate));
+  }
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Seconds left on a temporary login lock, 0 when the account is not locked
+userSchema.methods.lockSecondsRemaining = function () {
+  if (!this.locked_until) return 0;
+  return Math.max(0, Math.ceil((this.locked_until.getTime() - Date.now()) / 1000));
+};
+
+// Counts a wrong password and locks the account once maxAttempts is reached.
+// The counter is incremented in the database so parallel guesses all count.
+// Resolves to the seconds the account is now locked for, or 0.
+userSchema.methods.registerFailedLogin = async function (maxAttempts, lockMinutes) {
+  const User = this.constructor;
+  const updated = await User.findByIdAndUpdate(
+    this._id,
+    { $inc: { failed_login_attempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failed_login_attempts < maxAttempts) return 0;
+
+  const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  await User.updateOne(
+    { _id: this._id },
+    { $set: { failed_login_attempts: 0, locked_until: lockedUntil } }
+  );
+  this.failed_login_attempts = 0;
+  this.locked_until = lockedUntil;
+  return lockMinutes * 60;
+};
+
+userSchema.methods.clearFailedLogins = function () {
+  this.failed_login_attempts = 0;
+  this.locked_until = null;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failed_login_attempts: 0, locked_until: null } }
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
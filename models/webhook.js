@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'product.restored',
+  'product.stock_changed',
+];
+
+// An endpoint that receives the listed events as signed POST requests
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  description: { type: String },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: { validator: (events) => events.length > 0, message: 'At least one event is required' },
+  },
+  // HMAC key for the X-Webhook-Signature header; only shown when created or rotated
+  secret: { type: String, required: true, select: false },
+  active: { type: Boolean, default: true },
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+webhookSchema.index({ active: 1, events: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+webhookSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// pending: waiting for its first or next attempt, delivering: claimed by a worker,
+// succeeded: got a 2xx, failed: gave up after the last attempt
+const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed'];
+
+const attemptSchema = new mongoose.Schema({
+  attempted_at: { type: Date, required: true },
+  duration_ms: { type: Number },
+  // Missing when the request never got a response (timeout, DNS, refused, ...)
+  status_code: { type: Number },
+  error: { type: String },
+  // Start of the response body, for debugging
+  response_body: { type: String },
+}, { _id: false });
+
+// One event queued for one webhook. The collection is the delivery queue and
+// the delivery log at once; the payload is stored so it can be sent again.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  next_attempt_at: { type: Date, default: Date.now },
+  // While delivering: when the claim expires and another worker may take over
+  locked_until: { type: Date, default: null },
+  attempt_count: { type: Number, default: 0 },
+  attempts: [attemptSchema],
+  delivered_at: { type: Date, default: null },
+  // Set on copies made by a manual redelivery
+  redelivery_of: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+  requested_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ webhook_id: 1, createdAt: -1 });
+
+webhookDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+// Takes the next due delivery for this worker, or null when there is none.
+// Deliveries left in `delivering` by a worker that died are picked up again
+// once their lock expires.
+webhookDeliverySchema.statics.claimNext = function (lockMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', next_attempt_at: { $lte: now } },
+        { status: 'delivering', locked_until: { $lte: now } },
+      ],
+    },
+    { $set: { status: 'delivering', locked_until: new Date(now.getTime() + lockMs) } },
+    { new: true, sort: { next_attempt_at: 1 } }
+  );
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const MAX_WISHLIST_ITEMS = 100;
+
+const wishlistItemSchema = new mongoose.Schema({
+  product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  // What the product sold for when it was saved, to spot price drops
+  price_when_added: { type: Number, required: true },
+  // Kept so the wishlist can still name a product after it has been deleted
+  name: { type: String },
+  added_at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const wishlistSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: [wishlistItemSchema],
+}, { timestamps: true });
+
+wishlistSchema.statics.MAX_ITEMS = MAX_WISHLIST_ITEMS;
+
+wishlistSchema.statics.findOrCreate = function (userId) {
+  return this.findOneAndUpdate(
+    { user_id: userId },
+    { $setOnInsert: { user_id: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+wishlistSchema.methods.findItem = function (productId) {
+  return this.items.find((item) => String(item.product_id) === String(productId));
+};
+
+// Builds the response body for the wishlist, newest first, with each product's
+// current price and stock
+wishlistSchema.methods.toSummary = async function () {
+  const Product = mongoose.model('Product');
+  const products = await Product.find({ _id: { $in: this.items.map((item) => item.product_id) } })
+    .select('name price sale_price sale_starts_at sale_ends_at quantity thumbnail_image');
+  const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+  const items = [...this.items]
+    .sort((a, b) => b.added_at - a.added_at)
+    .map((item) => {
+      const product = productsById.get(String(item.product_id));
+      const currentPrice = product ? product.getCurrentPrice() : null;
+      const priceDropped = product ? currentPrice < item.price_when_added : false;
+
+      return {
+        product_id: item.product_id,
+        name: product ? product.name : item.name,
+        thumbnail_image: product ? product.thumbnail_image : null,
+        price_when_added: item.price_when_added,
+        current_price: currentPrice,
+        on_sale: product ? product.isOnSale() : false,
+        price_dropped: priceDropped,
+        price_drop: priceDropped ? Math.round((item.price_when_added - currentPrice) * 100) / 100 : 0,
+        available_quantity: product ? product.quantity : 0,
+        status: !product ? 'unavailable' : (product.quantity > 0 ? 'in_stock' : 'out_of_stock'),
+        added_at: item.added_at,
+      };
+    });
+
+  return {
+    items,
+    itemCount: items.length,
+    priceDrops: items.filter((item) => item.price_dropped).length,
+  };
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,26 @@
+const createMemoryStore = require('./memory.store');
+
+// Every store implements:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }> for the window the hit
+//                               landed in, starting a new window when the last one ended
+//   reset(key)               -> Promise
+let store;
+
+// In-memory store, created once per process
+const getRateLimitStore = () => {
+    if (!store) {
+        store = createMemoryStore();
+    }
+    return store;
+};
+
+// Lets callers swap in a shared store (e.g. Redis) or a fresh one in tests
+const setRateLimitStore = (rateLimitStore) => {
+    store = rateLimitStore;
+};
+
+module.exports = {
+    createMemoryStore,
+    getRateLimitStore,
+    setRateLimitStore
+};
@@ -0,0 +1,39 @@
+// Fixed-window counters kept in this process. Fine for a single instance;
+// run several and each one counts on its own, so plug in a shared store instead.
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+    const windows = new Map();
+
+    // Drop finished windows so keys that stop sending requests don't pile up
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((entry, key) => {
+            if (entry.resetAt <= now) windows.delete(key);
+        });
+    }, sweepIntervalMs);
+    sweeper.unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count += 1;
+            return { count: entry.count, resetAt: new Date(entry.resetAt) };
+        },
+
+        async reset(key) {
+            windows.delete(key);
+        },
+
+        clear() {
+            windows.clear();
+        }
+    };
+}
+
+module.exports = createMemoryStore;
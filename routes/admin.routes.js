@@ -0,0 +1,50 @@
+const express = require('express');
+const { param } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const authorize = require('../middleware/role.authorization');
+const validateRequest = require('../middleware/validateRequest');
+const { cacheResponse } = require('../middleware/cache');
+const cacheConfig = require('../config/cache');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateTrashList, validateAuditList, validateStats } = require('../validators/admin.validators');
+const trashController = require('../controllers/trash.controller');
+const auditController = require('../controllers/audit.controller');
+const userController = require('../controllers/user.controller');
+const statsController = require('../controllers/stats.controller');
+
+const router = express.Router();
+
+router.get('/admin/trash',
+    authMiddleware,
+    authorize('admin'),
+    validateTrashList,
+    validateRequest,
+    asyncHandler(trashController.listTrash)
+);
+
+router.get('/audit',
+    authMiddleware,
+    authorize('admin'),
+    validateAuditList,
+    validateRequest,
+    asyncHandler(auditController.listAuditLog)
+);
+
+router.post('/admin/users/:id/unlock',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid user ID'),
+    validateRequest,
+    asyncHandler(userController.unlockUser)
+);
+
+router.get('/admin/stats',
+    authMiddleware,
+    authorize('admin'),
+    validateStats,
+    validateRequest,
+    cacheResponse({ name: 'admin-stats', tags: () => [], ttlMs: cacheConfig.statsTtlMs }),
+    asyncHandler(statsController.getStats)
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const validateRequest = require('../middleware/validateRequest');
+const { limiters } = require('../middleware/rateLimit');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateuser, validateRegistration, validateRefreshToken } = require('../validators/auth.validators');
+const authController = require('../controllers/auth.controller');
+
+const router = express.Router();
+
+router.post('/register', limiters.auth, validateRegistration, validateRequest, asyncHandler(authController.register));
+
+router.post('/login', limiters.login, validateuser, validateRequest, asyncHandler(authController.login));
+
+router.post('/token/refresh', limiters.auth, validateRefreshToken, validateRequest, asyncHandler(authController.refresh));
+
+router.post('/logout', validateRefreshToken, validateRequest, asyncHandler(authController.logout));
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const { param } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const validateRequest = require('../middleware/validateRequest');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateCartItem, validateCartItemUpdate } = require('../validators/cart.validators');
+const cartController = require('../controllers/cart.controller');
+
+const router = express.Router();
+
+router.get('/cart',
+    authMiddleware,
+    asyncHandler(cartController.getCart)
+);
+
+router.post('/cart/items',
+    authMiddleware,
+    validateCartItem,
+    validateRequest,
+    asyncHandler(cartController.addItem)
+);
+
+router.put('/cart/items/:productId',
+    authMiddleware,
+    validateCartItemUpdate,
+    validateRequest,
+    asyncHandler(cartController.updateItem)
+);
+
+router.delete('/cart/items/:productId',
+    authMiddleware,
+    param('productId').isMongoId().withMessage('Invalid product ID'),
+    validateRequest,
+    asyncHandler(cartController.removeItem)
+);
+
+router.delete('/cart',
+    authMiddleware,
+    asyncHandler(cartController.clearCart)
+);
+
+module.exports = router;
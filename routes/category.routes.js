@@ -0,0 +1,66 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const authorize = require('../middleware/role.authorization');
+const validateRequest = require('../middleware/validateRequest');
+const { cacheResponse } = require('../middleware/cache');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateCategoryList, validateCategory, validateCategoryUpdate } = require('../validators/category.validators');
+const categoryController = require('../controllers/category.controller');
+
+const router = express.Router();
+
+router.get('/categories',
+    validateCategoryList,
+    validateRequest,
+    cacheResponse({ name: 'categories', tags: () => ['categories'] }),
+    asyncHandler(categoryController.listCategories)
+);
+
+router.get('/categories/tree',
+    cacheResponse({ name: 'categories', tags: () => ['categories'] }),
+    asyncHandler(categoryController.getCategoryTree)
+);
+
+router.post('/category',
+    authMiddleware,
+    authorize('admin'),
+    validateCategory,
+    validateRequest,
+    asyncHandler(categoryController.createCategory)
+);
+
+router.put('/category/:id',
+    authMiddleware,
+    authorize('admin'),
+    validateCategoryUpdate,
+    validateRequest,
+    asyncHandler(categoryController.updateCategory)
+);
+
+router.delete('/category/:id',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid category ID'),
+    query('reassignTo').optional()
+        .isMongoId().withMessage('Invalid reassignment category ID'),
+    validateRequest,
+    asyncHandler(categoryController.deleteCategory)
+);
+
+router.get('/category/:id',
+    authMiddleware,
+    param('id').isMongoId().withMessage('Invalid category ID'),
+    validateRequest,
+    asyncHandler(categoryController.getCategory)
+);
+
+router.post('/category/:id/restore',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid category ID'),
+    validateRequest,
+    asyncHandler(categoryController.restoreCategory)
+);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { param } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const authorize = require('../middleware/role.authorization');
+const validateRequest = require('../middleware/validateRequest');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    validateCoupon,
+    validateCouponUpdate,
+    validateCouponList,
+    validateQuote
+} = require('../validators/coupon.validators');
+const couponController = require('../controllers/coupon.controller');
+const pricingController = require('../controllers/pricing.controller');
+
+const router = express.Router();
+
+router.post('/pricing/quote',
+    authMiddleware,
+    validateQuote,
+    validateRequest,
+    asyncHandler(pricingController.quote)
+);
+
+router.get('/admin/coupons',
+    authMiddleware,
+    authorize('admin'),
+    validateCouponList,
+    validateRequest,
+    asyncHandler(couponController.listCoupons)
+);
+
+router.post('/admin/coupons',
+    authMiddleware,
+    authorize('admin'),
+    validateCoupon,
+    validateRequest,
+    asyncHandler(couponController.createCoupon)
+);
+
+router.put('/admin/coupons/:id',
+    authMiddleware,
+    authorize('admin'),
+    validateCouponUpdate,
+    validateRequest,
+    asyncHandler(couponController.updateCoupon)
+);
+
+router.delete('/admin/coupons/:id',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid coupon ID'),
+    validateRequest,
+    asyncHandler(couponController.deleteCoupon)
+);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { param } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const authorize = require('../middleware/role.authorization');
+const validateRequest = require('../middleware/validateRequest');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    validateStockReceipt,
+    validateStockAdjustment,
+    validateThreshold,
+    validateMovementList,
+    validateLowStockList
+} = require('../validators/inventory.validators');
+const inventoryController = require('../controllers/inventory.controller');
+
+const router = express.Router();
+
+router.get('/inventory/low-stock',
+    authMiddleware,
+    authorize('admin'),
+    validateLowStockList,
+    validateRequest,
+    asyncHandler(inventoryController.listLowStock)
+);
+
+router.get('/inventory/movements',
+    authMiddleware,
+    authorize('admin'),
+    validateMovementList,
+    validateRequest,
+    asyncHandler(inventoryController.listMovements)
+);
+
+router.post('/inventory/:productId/receive',
+    authMiddleware,
+    authorize('admin'),
+    validateStockReceipt,
+    validateRequest,
+    asyncHandler(inventoryController.receiveStock)
+);
+
+router.post('/inventory/:productId/adjust',
+    authMiddleware,
+    authorize('admin'),
+    validateStockAdjustment,
+    validateRequest,
+    asyncHandler(inventoryController.adjustStock)
+);
+
+router.put('/inventory/:productId/threshold',
+    authMiddleware,
+    authorize('admin'),
+    validateThreshold,
+    validateRequest,
+    asyncHandler(inventoryController.setThreshold)
+);
+
+router.post('/inventory/:productId/rebuild',
+    authMiddleware,
+    authorize('admin'),
+    param('productId').isMongoId().withMessage('Invalid product ID'),
+    validateRequest,
+    asyncHandler(inventoryController.rebuildStock)
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { param } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const authorize = require('../middleware/role.authorization');
+const validateRequest = require('../middleware/validateRequest');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    validateCheckout,
+    validateOrderList,
+    validateAdminOrderList,
+    validateOrderStatus
+} = require('../validators/order.validators');
+const orderController = require('../controllers/order.controller');
+
+const router = express.Router();
+
+router.post('/orders/checkout',
+    authMiddleware,
+    validateCheckout,
+    validateRequest,
+    asyncHandler(orderController.checkout)
+);
+
+router.get('/orders',
+    authMiddleware,
+    validateOrderList,
+    validateRequest,
+    asyncHandler(orderController.listOrders)
+);
+
+router.get('/orders/:id',
+    authMiddleware,
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    validateRequest,
+    asyncHandler(orderController.getOrder)
+);
+
+router.post('/orders/:id/cancel',
+    authMiddleware,
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    validateRequest,
+    asyncHandler(orderController.cancelOrder)
+);
+
+router.get('/admin/orders',
+    authMiddleware,
+    authorize('admin'),
+    validateAdminOrderList,
+    validateRequest,
+    asyncHandler(orderController.listAllOrders)
+);
+
+router.patch('/admin/orders/:id/status',
+    authMiddleware,
+    authorize('admin'),
+    validateOrderStatus,
+    validateRequest,
+    asyncHandler(orderController.updateOrderStatus)
+);
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const optionalAuthentication = require('../middleware/optional.authentication');
+const recordProductView = require('../middleware/recentlyViewed');
+const authorize = require('../middleware/role.authorization');
+const validateRequest = require('../middleware/validateRequest');
+const { limiters } = require('../middleware/rateLimit');
+const { cacheResponse } = require('../middleware/cache');
+const { handleUpload, handleGalleryUpload, handleImportUpload } = require('../middleware/upload');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    validateProduct,
+    validateProductList,
+    validateImport,
+    validateProductUpdate,
+    validateProductVariants,
+    validateProductSale,
+    validateImageOrder,
+    validateRegenerate
+} = require('../validators/product.validators');
+const productController = require('../controllers/product.controller');
+const productTransferController = require('../controllers/productTransfer.controller');
+const productImageController = require('../controllers/productImage.controller');
+const auditController = require('../controllers/audit.controller');
+
+const router = express.Router();
+
+router.post('/product/add',
+    authMiddleware,
+    authorize('admin'),
+    limiters.upload,
+    handleUpload,
+    validateProduct,
+    validateRequest,
+    asyncHandler(productController.addProduct)
+);
+
+router.get('/products',
+    validateProductList,
+    validateRequest,
+    // Rows include the category name, so category edits clear the lists too
+    cacheResponse({ name: 'products', tags: () => ['products', 'categories'] }),
+    asyncHandler(productController.listProducts)
+);
+
+router.post('/products/import',
+    authMiddleware,
+    authorize('admin'),
+    limiters.upload,
+    handleImportUpload,
+    validateImport,
+    validateRequest,
+    asyncHandler(productTransferController.importProducts)
+);
+
+router.get('/products/export',
+    authMiddleware,
+    authorize('admin'),
+    validateProductList,
+    query('format').optional()
+        .isIn(['csv', 'json']).withMessage('format must be csv or json'),
+    validateRequest,
+    asyncHandler(productTransferController.exportProducts)
+);
+
+router.put('/product/:id',
+    authMiddleware,
+    authorize('admin'),
+    limiters.upload,
+    handleUpload,
+    validateProductUpdate,
+    validateRequest,
+    asyncHandler(productController.updateProduct)
+);
+
+router.delete('/product/:id',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    validateRequest,
+    asyncHandler(productController.deleteProduct)
+);
+
+router.get('/product/:id',
+    optionalAuthentication,
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    validateRequest,
+    recordProductView,
+    cacheResponse({ name: 'product', tags: (req) => [`product:${req.params.id}`, 'products:documents'] }),
+    asyncHandler(productController.getProduct)
+);
+
+router.put('/product/:id/variants',
+    authMiddleware,
+    authorize('admin'),
+    validateProductVariants,
+    validateRequest,
+    asyncHandler(productController.updateVariants)
+);
+
+router.put('/product/:id/sale',
+    authMiddleware,
+    authorize('admin'),
+    validateProductSale,
+    validateRequest,
+    asyncHandler(productController.setSale)
+);
+
+router.delete('/product/:id/sale',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    validateRequest,
+    asyncHandler(productController.clearSale)
+);
+
+router.post('/product/:id/images',
+    authMiddleware,
+    authorize('admin'),
+    limiters.upload,
+    handleGalleryUpload,
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    validateRequest,
+    asyncHandler(productImageController.addImages)
+);
+
+router.delete('/product/:id/images/:imageId',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    param('imageId').isMongoId().withMessage('Invalid image ID'),
+    validateRequest,
+    asyncHandler(productImageController.removeImage)
+);
+
+router.put('/product/:id/images/order',
+    authMiddleware,
+    authorize('admin'),
+    validateImageOrder,
+    validateRequest,
+    asyncHandler(productImageController.reorderImages)
+);
+
+router.put('/product/:id/images/:imageId/primary',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    param('imageId').isMongoId().withMessage('Invalid image ID'),
+    validateRequest,
+    asyncHandler(productImageController.setPrimaryImage)
+);
+
+router.post('/admin/products/images/regenerate',
+    authMiddleware,
+    authorize('admin'),
+    limiters.upload,
+    validateRegenerate,
+    validateRequest,
+    asyncHandler(productImageController.regenerateImages)
+);
+
+router.post('/product/:id/restore',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    validateRequest,
+    asyncHandler(productController.restoreProduct)
+);
+
+router.get('/product/:id/history',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    validateRequest,
+    asyncHandler(auditController.getProductHistory)
+);
+
+module.exports = router;
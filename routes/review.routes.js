@@ -0,0 +1,61 @@
+const express = require('express');
+const { param } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const authorize = require('../middleware/role.authorization');
+const validateRequest = require('../middleware/validateRequest');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    validateReview,
+    validateReviewUpdate,
+    validateReviewList,
+    validateAdminReviewList,
+    validateReviewStatus
+} = require('../validators/review.validators');
+const reviewController = require('../controllers/review.controller');
+
+const router = express.Router();
+
+router.get('/product/:id/reviews',
+    validateReviewList,
+    validateRequest,
+    asyncHandler(reviewController.listProductReviews)
+);
+
+router.post('/product/:id/reviews',
+    authMiddleware,
+    validateReview,
+    validateRequest,
+    asyncHandler(reviewController.createReview)
+);
+
+router.put('/reviews/:id',
+    authMiddleware,
+    validateReviewUpdate,
+    validateRequest,
+    asyncHandler(reviewController.updateReview)
+);
+
+router.delete('/reviews/:id',
+    authMiddleware,
+    param('id').isMongoId().withMessage('Invalid review ID'),
+    validateRequest,
+    asyncHandler(reviewController.deleteReview)
+);
+
+router.get('/admin/reviews',
+    authMiddleware,
+    authorize('admin'),
+    validateAdminReviewList,
+    validateRequest,
+    asyncHandler(reviewController.listAllReviews)
+);
+
+router.patch('/admin/reviews/:id/status',
+    authMiddleware,
+    authorize('admin'),
+    validateReviewStatus,
+    validateRequest,
+    asyncHandler(reviewController.moderateReview)
+);
+
+module.exports = router;
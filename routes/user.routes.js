@@ -0,0 +1,23 @@
+const express = require('express');
+const { query } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const validateRequest = require('../middleware/validateRequest');
+const asyncHandler = require('../utils/asyncHandler');
+const { validatePasswordChange } = require('../validators/user.validators');
+const userController = require('../controllers/user.controller');
+
+const router = express.Router();
+
+router.get('/me', authMiddleware, asyncHandler(userController.getMe));
+
+router.put('/me/password', authMiddleware, validatePasswordChange, validateRequest, asyncHandler(userController.changePassword));
+
+router.get('/me/recently-viewed',
+    authMiddleware,
+    query('limit').optional()
+        .isInt({ min: 1 }).withMessage('limit must be a positive whole number'),
+    validateRequest,
+    asyncHandler(userController.getRecentlyViewed)
+);
+
+module.exports = router;
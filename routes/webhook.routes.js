@@ -0,0 +1,63 @@
+const express = require('express');
+const { param } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const authorize = require('../middleware/role.authorization');
+const validateRequest = require('../middleware/validateRequest');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    validateWebhook,
+    validateWebhookUpdate,
+    validateDeliveryList,
+    validateRedelivery
+} = require('../validators/webhook.validators');
+const webhookController = require('../controllers/webhook.controller');
+
+const router = express.Router();
+
+router.get('/admin/webhooks',
+    authMiddleware,
+    authorize('admin'),
+    asyncHandler(webhookController.listWebhooks)
+);
+
+router.post('/admin/webhooks',
+    authMiddleware,
+    authorize('admin'),
+    validateWebhook,
+    validateRequest,
+    asyncHandler(webhookController.createWebhook)
+);
+
+router.put('/admin/webhooks/:id',
+    authMiddleware,
+    authorize('admin'),
+    validateWebhookUpdate,
+    validateRequest,
+    asyncHandler(webhookController.updateWebhook)
+);
+
+router.delete('/admin/webhooks/:id',
+    authMiddleware,
+    authorize('admin'),
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    validateRequest,
+    asyncHandler(webhookController.deleteWebhook)
+);
+
+router.get('/admin/webhooks/:id/deliveries',
+    authMiddleware,
+    authorize('admin'),
+    validateDeliveryList,
+    validateRequest,
+    asyncHandler(webhookController.listDeliveries)
+);
+
+router.post('/admin/webhooks/:id/deliveries/:deliveryId/redeliver',
+    authMiddleware,
+    authorize('admin'),
+    validateRedelivery,
+    validateRequest,
+    asyncHandler(webhookController.redeliver)
+);
+
+module.exports = router;
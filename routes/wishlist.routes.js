@@ -0,0 +1,30 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const authMiddleware = require('../middleware/admin.authentication');
+const validateRequest = require('../middleware/validateRequest');
+const asyncHandler = require('../utils/asyncHandler');
+const wishlistController = require('../controllers/wishlist.controller');
+
+const router = express.Router();
+
+router.get('/wishlist',
+    authMiddleware,
+    asyncHandler(wishlistController.getWishlist)
+);
+
+router.post('/wishlist/items',
+    authMiddleware,
+    body('product_id').notEmpty().withMessage('Product ID is required')
+        .isMongoId().withMessage('Invalid product ID'),
+    validateRequest,
+    asyncHandler(wishlistController.addItem)
+);
+
+router.delete('/wishlist/items/:productId',
+    authMiddleware,
+    param('productId').isMongoId().withMessage('Invalid product ID'),
+    validateRequest,
+    asyncHandler(wishlistController.removeItem)
+);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// Usage: npm run flag-legacy-passwords
+// Marks the accounts whose password is still stored in plaintext, i.e. accounts
+// created before passwords were hashed, so login can check and rehash them.
+// Every password saved since is a bcrypt hash. Safe to run again.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user');
+
+(async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        const result = await User.updateMany(
+            { password: { $not: /^\$2[aby]\$\d{2}\$/ }, legacy_password: { $ne: true } },
+            { $set: { legacy_password: true } }
+        );
+        console.log(`Flagged ${result.modifiedCount} account(s) with a plaintext password`);
+    } catch (error) {
+        console.error(error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+})();
@@ -0,0 +1,31 @@
+// Usage: npm run promote-admin -- <email>
+// Gives an existing user the admin role. Accounts created before roles existed
+// default to "customer" and need this once to keep access to the admin routes.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user');
+
+const email = process.argv[2];
+
+if (!email) {
+    console.error('Usage: npm run promote-admin -- <email>');
+    process.exit(1);
+}
+
+(async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        const user = await User.findOneAndUpdate({ email }, { $set: { role: 'admin' } }, { new: true });
+        if (!user) {
+            console.error(`No user found with email ${email}`);
+            process.exitCode = 1;
+        } else {
+            console.log(`${user.email} is now an admin`);
+        }
+    } catch (error) {
+        console.error(error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+})();
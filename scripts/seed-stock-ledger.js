@@ -0,0 +1,29 @@
+// Usage: npm run seed-stock-ledger
+// Records an opening balance in the stock ledger for every product that has no
+// movements yet, i.e. products created before the ledger existed. Safe to run again.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const StockMovement = require('../models/stockMovement');
+const { stockSnapshot, recordStockChanges } = require('../utils/inventory');
+
+(async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        const tracked = new Set((await StockMovement.distinct('product_id')).map(String));
+
+        let seeded = 0;
+        const products = Product.find().setOptions({ withDeleted: true }).cursor();
+        for await (const product of products) {
+            if (tracked.has(String(product._id))) continue;
+            await recordStockChanges(stockSnapshot(null), product, { type: 'initial', reason: 'Opening balance' });
+            seeded += 1;
+        }
+        console.log(`Recorded opening balances for ${seeded} product(s)`);
+    } catch (error) {
+        console.error(error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+})();
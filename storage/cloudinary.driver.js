@@ -0,0 +1,52 @@
+const cloudinary = require('cloudinary').v2;
+
+// Stores images in Cloudinary. Keys are Cloudinary public_ids.
+const createCloudinaryDriver = (options = {}) => {
+    cloudinary.config({
+        cloud_name: options.cloudName,
+        api_key: options.apiKey,
+        api_secret: options.apiSecret
+    });
+
+    const folder = options.folder || 'CloudinaryDemo';
+
+    return {
+        name: 'cloudinary',
+
+        upload(buffer, { format = 'jpg' } = {}) {
+            return new Promise((resolve, reject) => {
+                const uploadStream = cloudinary.uploader.upload_stream(
+                    { folder, format },
+                    (error, result) => {
+                        if (error) reject(error);
+                        else resolve({ url: result.secure_url, key: result.public_id });
+                    }
+                );
+                uploadStream.end(buffer);
+            });
+        },
+
+        remove(key) {
+            return cloudinary.uploader.destroy(key);
+        },
+
+        async read({ url }) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not download ${url}: ${response.status}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        },
+
+        // For records saved before keys were stored. The public_id is everything
+        // after /upload/ minus the optional version segment and the extension,
+        // so it survives nested folders.
+        keyFromUrl(url) {
+            const match = new URL(url).pathname.match(/\/upload\/(?:v\d+\/)?(.+)$/);
+            if (!match) return null;
+            return decodeURIComponent(match[1]).replace(/\.[^/.]+$/, '');
+        }
+    };
+};
+
+module.exports = createCloudinaryDriver;
@@ -0,0 +1,147 @@
+const sharp = require('sharp');
+const { getStorage } = require('./index');
+const { variants, primaryVariant, thumbnailVariant } = require('../config/imageVariants');
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+
+// Renders one configured variant, resolving "auto" against the source image
+async function renderVariant(buffer, variant, hasAlpha) {
+    const format = variant.format === 'auto' ? (hasAlpha ? 'png' : 'jpeg') : variant.format;
+
+    let pipeline = sharp(buffer)
+        .rotate()
+        .resize(variant.width, variant.height, { fit: variant.fit, withoutEnlargement: variant.fit !== 'cover' });
+
+    if (format === 'jpeg') {
+        // JPEG has no alpha channel, so put transparent areas on white
+        pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: variant.quality || 80 });
+    } else if (format === 'png') {
+        pipeline = pipeline.png();
+    } else {
+        pipeline = pipeline[format]({ quality: variant.quality || 80 });
+    }
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return { data, format, width: info.width, height: info.height };
+}
+
+// Generates every configured variant from the source buffer and stores them.
+// Returns the gallery fields that depend on the variants.
+async function storeVariants(buffer) {
+    const storage = getStorage();
+    const { hasAlpha } = await sharp(buffer).metadata();
+
+    const entries = await Promise.all(Object.entries(variants).map(async ([name, variant]) => {
+        const rendered = await renderVariant(buffer, variant, hasAlpha);
+        const stored = await storage.upload(rendered.data, { format: EXTENSIONS[rendered.format] });
+        return [name, {
+            url: stored.url,
+            key: stored.key,
+            width: rendered.width,
+            height: rendered.height,
+            format: rendered.format
+        }];
+    }));
+
+    const stored = Object.fromEntries(entries);
+    return {
+        url: stored[primaryVariant].url,
+        key: stored[primaryVariant].key,
+        thumbnail_url: stored[thumbnailVariant].url,
+        thumbnail_key: stored[thumbnailVariant].key,
+        variants: stored
+    };
+}
+
+// Stores the untouched upload plus every configured variant. The result is
+// shaped like an entry of Product.images; the original is kept so variants
+// can be regenerated when the configuration changes.
+async function processProductImage(buffer) {
+    const { format } = await sharp(buffer).metadata();
+    const [original, generated] = await Promise.all([
+        getStorage().upload(buffer, { format: EXTENSIONS[format] || format }),
+        storeVariants(buffer)
+    ]);
+
+    return {
+        ...generated,
+        original: { url: original.url, key: original.key }
+    };
+}
+
+// URL -> key of every file a gallery entry owns
+function collectImageFiles(entry, files = new Map()) {
+    const add = (url, key) => {
+        if (url) files.set(url, key);
+    };
+
+    add(entry.url, entry.key);
+    add(entry.thumbnail_url, entry.thumbnail_key);
+    if (entry.original) add(entry.original.url, entry.original.key);
+    if (entry.variants) {
+        // Stored as a Mongoose Map on documents, a plain object elsewhere
+        const values = entry.variants instanceof Map ? entry.variants.values() : Object.values(entry.variants);
+        for (const variant of values) add(variant.url, variant.key);
+    }
+    return files;
+}
+
+// Re-renders the variants of a gallery entry from its original. Entries saved
+// before originals were kept use their full-size image as the source, which
+// then becomes the original. Returns the new fields and the files to delete.
+async function regenerateVariants(entry) {
+    const source = entry.original && entry.original.url
+        ? { url: entry.original.url, key: entry.original.key }
+        : { url: entry.url, key: entry.key };
+
+    const buffer = await getStorage().read(source);
+    const oldFiles = collectImageFiles(entry);
+    const generated = await storeVariants(buffer);
+
+    oldFiles.delete(source.url);
+    return {
+        fields: { ...generated, original: source },
+        obsoleteFiles: oldFiles
+    };
+}
+
+// Deletes a stored image, deriving the key from the URL for older records
+async function removeImage(url, key) {
+    const storage = getStorage();
+    const resolvedKey = key || (url ? storage.keyFromUrl(url) : null);
+    if (resolvedKey) {
+        await storage.remove(resolvedKey);
+    }
+}
+
+async function removeFiles(files) {
+    await Promise.all([...files].map(([url, key]) => removeImage(url, key)));
+}
+
+// Deletes every file of one Product.images entry
+async function removeGalleryImage(entry) {
+    await removeFiles(collectImageFiles(entry));
+}
+
+// Deletes every stored image of a product, including the legacy fields of
+// products that never got a gallery
+async function removeProductImages(product) {
+    const files = collectImageFiles({
+        url: product.image,
+        key: product.image_key,
+        thumbnail_url: product.thumbnail_image,
+        thumbnail_key: product.thumbnail_key
+    });
+    (product.images || []).forEach((entry) => collectImageFiles(entry, files));
+
+    await removeFiles(files);
+}
+
+module.exports = {
+    processProductImage,
+    regenerateVariants,
+    removeFiles,
+    removeImage,
+    removeGalleryImage,
+    removeProductImages
+};
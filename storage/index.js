@@ -0,0 +1,45 @@
+const createCloudinaryDriver = require('./cloudinary.driver');
+const createLocalDriver = require('./local.driver');
+
+// Every driver implements:
+//   upload(buffer, { format }) -> Promise<{ url, key }>
+//   remove(key)                -> Promise
+//   read({ url, key })         -> Promise<Buffer> with the stored file
+//   keyFromUrl(url)            -> key for records saved without one, or null
+// and may expose staticMount: { route, directory } for files the app serves itself.
+const drivers = {
+    cloudinary: () => createCloudinaryDriver({
+        cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+        apiKey: process.env.CLOUDINARY_API_KEY,
+        apiSecret: process.env.CLOUDINARY_API_SECRET,
+        folder: process.env.CLOUDINARY_FOLDER
+    }),
+    local: () => createLocalDriver({
+        directory: process.env.LOCAL_STORAGE_DIR,
+        baseUrl: process.env.PUBLIC_URL
+    })
+};
+
+let storage;
+
+// Driver chosen by STORAGE_DRIVER, created once per process
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || 'cloudinary';
+        if (!drivers[name]) {
+            throw new Error(`Unknown STORAGE_DRIVER "${name}", expected one of: ${Object.keys(drivers).join(', ')}`);
+        }
+        storage = drivers[name]();
+    }
+    return storage;
+};
+
+// Lets callers (e.g. tests) swap in their own driver
+const setStorage = (driver) => {
+    storage = driver;
+};
+
+module.exports = {
+    getStorage,
+    setStorage
+};
@@ -0,0 +1,44 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stores images on the local disk and serves them through a static route.
+// Meant for development and CI where no Cloudinary account is available.
+const createLocalDriver = (options = {}) => {
+    const directory = path.resolve(options.directory || path.join(__dirname, '..', 'uploads'));
+    const route = options.route || '/uploads';
+    const baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+
+    return {
+        name: 'local',
+        staticMount: { route, directory },
+
+        async upload(buffer, { format = 'jpg' } = {}) {
+            const key = `${crypto.randomUUID()}.${format}`;
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(path.join(directory, key), buffer);
+            return { url: `${baseUrl}${route}/${key}`, key };
+        },
+
+        async remove(key) {
+            // Keys never contain directories, so this can't escape the upload folder
+            try {
+                await fs.unlink(path.join(directory, path.basename(key)));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+
+        read({ url, key }) {
+            const resolvedKey = key || this.keyFromUrl(url);
+            return fs.readFile(path.join(directory, path.basename(resolvedKey)));
+        },
+
+        keyFromUrl(url) {
+            const index = url.lastIndexOf(`${route}/`);
+            return index === -1 ? null : url.slice(index + route.length + 1);
+        }
+    };
+};
+
+module.exports = createLocalDriver;
@@ -1,21 +0,0 @@
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
-
-
-cloudinary.config({
-    cloud_name:process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret:process.env.CLOUDINARY_API_SECRET
-});
-
-const storage = new CloudinaryStorage({
-    cloudinary,
-    params: {
-        folder: 'CloudinaryDemo',
-        allowedFormats: ['jpeg', 'png', 'jpg'],
-    }
-});
-
-module.exports = {
-    storage
-};
\ No newline at end of file
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const User = require('../models/user');
+const { setupIntegration } = require('./helpers/app');
+const { createUser, createAdmin, createCategory, createProduct } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+describe('GET /api/admin/trash', () => {
+    it('lists trashed products and categories separately', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct();
+        const category = await createCategory();
+        await createProduct();
+        await product.softDelete(admin.user._id);
+        await category.softDelete(admin.user._id);
+
+        const products = await request(context.app).get('/api/admin/trash').set('Authorization', admin.auth);
+        expect(products.status).toBe(200);
+        expect(products.body.items.map((item) => item.name)).toEqual([product.name]);
+        expect(products.body.items[0].deleted_by.email).toBe(admin.user.email);
+
+        const categories = await request(context.app)
+            .get('/api/admin/trash')
+            .query({ type: 'category' })
+            .set('Authorization', admin.auth);
+        expect(categories.body.items.map((item) => item.name)).toEqual([category.name]);
+    });
+
+    it('is limited to admins', async () => {
+        const customer = await createUser();
+
+        const res = await request(context.app).get('/api/admin/trash').set('Authorization', customer.auth);
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('GET /api/audit', () => {
+    it('records catalogue changes and filters them', async () => {
+        const admin = await createAdmin();
+        await request(context.app)
+            .post('/api/category')
+            .set('Authorization', admin.auth)
+            .send({ name: 'Lighting' });
+        const category = await createCategory();
+        await request(context.app)
+            .put(`/api/category/${category._id}`)
+            .set('Authorization', admin.auth)
+            .send({ description: 'Updated' });
+
+        const all = await request(context.app).get('/api/audit').set('Authorization', admin.auth);
+        expect(all.status).toBe(200);
+        expect(all.body.totalEntries).toBe(2);
+
+        const updates = await request(context.app)
+            .get('/api/audit')
+            .query({ action: 'update', entityId: String(category._id) })
+            .set('Authorization', admin.auth);
+        expect(updates.body.entries).toHaveLength(1);
+        expect(updates.body.entries[0].changes).toEqual([
+            expect.objectContaining({ field: 'description', after: 'Updated' })
+        ]);
+        expect(updates.body.entries[0].user_id.email).toBe(admin.user.email);
+    });
+
+    it('validates the filters', async () => {
+        const admin = await createAdmin();
+
+        const res = await request(context.app)
+            .get('/api/audit')
+            .query({ entity: 'user' })
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.entity).toBeDefined();
+    });
+});
+
+describe('POST /api/admin/users/:id/unlock', () => {
+    it('unlocks a locked account', async () => {
+        const admin = await createAdmin();
+        const customer = await createUser({ password: 'password123' });
+        await User.updateOne(
+            { _id: customer.user._id },
+            { locked_until: new Date(Date.now() + 60 * 60 * 1000), failed_login_attempts: 3 }
+        );
+
+        const res = await request(context.app)
+            .post(`/api/admin/users/${customer.user._id}/unlock`)
+            .set('Authorization', admin.auth);
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Account unlocked');
+
+        const login = await request(context.app)
+            .post('/api/login')
+            .send({ email: customer.user.email, password: 'password123' });
+        expect(login.status).toBe(200);
+    });
+
+    it('is limited to admins', async () => {
+        const customer = await createUser();
+
+        const res = await request(context.app)
+            .post(`/api/admin/users/${customer.user._id}/unlock`)
+            .set('Authorization', customer.auth);
+
+        expect(res.status).toBe(403);
+    });
+
+    it('returns 404 for an unknown user', async () => {
+        const admin = await createAdmin();
+
+        const res = await request(context.app)
+            .post('/api/admin/users/64b7f0c2a1b2c3d4e5f60718/unlock')
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('GET /api/admin/stats', () => {
+    it('summarises the catalogue per category', async () => {
+        const admin = await createAdmin();
+        const lamps = await createCategory({ name: 'Lamps' });
+        const chairs = await createCategory({ name: 'Chairs' });
+        await createProduct({ category: lamps, price: 10, quantity: 3 });
+        await createProduct({ category: lamps, price: 25.5, quantity: 0 });
+        await createProduct({ category: chairs, price: 40, quantity: 2, low_stock_threshold: 2 });
+        const trashed = await createProduct({ category: chairs, price: 99, quantity: 50 });
+        await trashed.softDelete(admin.user._id);
+
+        const res = await request(context.app).get('/api/admin/stats').set('Authorization', admin.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.totals).toMatchObject({ products: 3, inventoryValue: 110, outOfStock: 1, lowStock: 3 });
+        expect(res.body.categories).toEqual([
+            { categoryId: String(lamps._id), name: 'Lamps', productCount: 2, inventoryValue: 30 },
+            { categoryId: String(chairs._id), name: 'Chairs', productCount: 1, inventoryValue: 80 }
+        ]);
+    });
+
+    it('counts products added per day over the range', async () => {
+        const admin = await createAdmin();
+        await createProduct({ createdAt: new Date('2024-03-01T09:00:00Z') });
+        await createProduct({ createdAt: new Date('2024-03-01T23:30:00Z') });
+        await createProduct({ createdAt: new Date('2024-03-03T12:00:00Z') });
+        await createProduct({ createdAt: new Date('2024-03-05T12:00:00Z') });
+
+        const res = await request(context.app)
+            .get('/api/admin/stats')
+            .query({ from: '2024-03-01', to: '2024-03-03' })
+            .set('Authorization', admin.auth);
+
+        expect(res.body.range).toEqual({ from: '2024-03-01', to: '2024-03-03' });
+        expect(res.body.productsAddedPerDay).toEqual([
+            { date: '2024-03-01', count: 2 },
+            { date: '2024-03-02', count: 0 },
+            { date: '2024-03-03', count: 1 }
+        ]);
+    });
+
+    it('serves repeat requests from the cache', async () => {
+        const admin = await createAdmin();
+        await createProduct();
+
+        const first = await request(context.app).get('/api/admin/stats').set('Authorization', admin.auth);
+        await createProduct();
+        const second = await request(context.app).get('/api/admin/stats').set('Authorization', admin.auth);
+
+        expect(second.headers['x-cache']).toBe('HIT');
+        expect(second.body.totals.products).toBe(first.body.totals.products);
+    });
+
+    it('rejects a reversed or too long range', async () => {
+        const admin = await createAdmin();
+
+        const reversed = await request(context.app)
+            .get('/api/admin/stats')
+            .query({ from: '2024-03-05', to: '2024-03-01' })
+            .set('Authorization', admin.auth);
+        expect(reversed.status).toBe(400);
+
+        const tooLong = await request(context.app)
+            .get('/api/admin/stats')
+            .query({ from: '2022-01-01', to: '2024-01-01' })
+            .set('Authorization', admin.auth);
+        expect(tooLong.status).toBe(400);
+        expect(tooLong.body.errors.from).toBeDefined();
+    });
+
+    it('is admin-only', async () => {
+        const customer = await createUser();
+
+        const res = await request(context.app).get('/api/admin/stats').set('Authorization', customer.auth);
+
+        expect(res.status).toBe(403);
+    });
+});
@@ -0,0 +1,214 @@
+const request = require('supertest');
+const User = require('../models/user');
+const authConfig = require('../config/auth');
+const rateLimitConfig = require('../config/rateLimits');
+const { setupIntegration } = require('./helpers/app');
+const { createUser } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+describe('POST /api/register', () => {
+    it('creates a customer and returns a token pair', async () => {
+        const res = await request(context.app)
+            .post('/api/register')
+            .send({ email: 'new@example.com', password: 'password123' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.user).toMatchObject({ email: 'new@example.com', role: 'customer' });
+        expect(res.body.token).toEqual(expect.any(String));
+        expect(res.body.refreshToken).toEqual(expect.any(String));
+
+        const user = await User.findOne({ email: 'new@example.com' });
+        expect(user.password).not.toBe('password123');
+    });
+
+    it('ignores a role sent by the client', async () => {
+        const res = await request(context.app)
+            .post('/api/register')
+            .send({ email: 'sneaky@example.com', password: 'password123', role: 'admin' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.user.role).toBe('customer');
+    });
+
+    it('rejects an email that is already registered', async () => {
+        await createUser({ email: 'taken@example.com' });
+
+        const res = await request(context.app)
+            .post('/api/register')
+            .send({ email: 'taken@example.com', password: 'password123' });
+
+        expect(res.status).toBe(409);
+        expect(res.body).toMatchObject({ success: false, code: 'CONFLICT' });
+        expect(res.body.errors.email).toBeDefined();
+    });
+
+    it('validates the body', async () => {
+        const res = await request(context.app)
+            .post('/api/register')
+            .send({ email: 'not-an-email', password: 'short' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('VALIDATION_FAILED');
+        expect(Object.keys(res.body.errors).sort()).toEqual(['email', 'password']);
+        expect(res.body.requestId).toBe(res.headers['x-request-id']);
+    });
+
+    it('hashes a password that looks like a bcrypt hash', async () => {
+        const password = '$2b$10$notarealhashnotarealhash';
+
+        await request(context.app).post('/api/register').send({ email: 'odd@example.com', password });
+
+        const user = await User.findOne({ email: 'odd@example.com' });
+        expect(user.password).not.toBe(password);
+        expect(await user.comparePassword(password)).toBe(true);
+    });
+});
+
+describe('POST /api/login', () => {
+    it('logs in with the right password', async () => {
+        await createUser({ email: 'shopper@example.com', password: 'password123' });
+
+        const res = await request(context.app)
+            .post('/api/login')
+            .send({ email: 'shopper@example.com', password: 'password123' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.token).toEqual(expect.any(String));
+    });
+
+    it('rejects a wrong password', async () => {
+        await createUser({ email: 'shopper@example.com', password: 'password123' });
+
+        const res = await request(context.app)
+            .post('/api/login')
+            .send({ email: 'shopper@example.com', password: 'wrong-password' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Invalid email or password');
+    });
+
+    it('rejects an email that is not a string', async () => {
+        await createUser({ email: 'shopper@example.com', password: 'password123' });
+
+        const res = await request(context.app)
+            .post('/api/login')
+            .send({ email: { $ne: null }, password: 'password123' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.email).toBeDefined();
+    });
+
+    it('hashes a legacy plaintext password on first login', async () => {
+        await User.collection.insertOne({
+            email: 'legacy@example.com',
+            password: 'plaintext',
+            legacy_password: true,
+            role: 'customer'
+        });
+
+        const res = await request(context.app)
+            .post('/api/login')
+            .send({ email: 'legacy@example.com', password: 'plaintext' });
+
+        expect(res.status).toBe(200);
+        const user = await User.findOne({ email: 'legacy@example.com' });
+        expect(user.hasLegacyPassword()).toBe(false);
+    });
+
+    it('locks the account after repeated wrong passwords', async () => {
+        await createUser({ email: 'shopper@example.com', password: 'password123' });
+        const attempt = (password) => request(context.app)
+            .post('/api/login')
+            .send({ email: 'shopper@example.com', password });
+
+        for (let i = 1; i < authConfig.maxFailedLogins; i++) {
+            expect((await attempt('wrong-password')).status).toBe(400);
+        }
+        const locking = await attempt('wrong-password');
+        expect(locking.status).toBe(423);
+        expect(locking.body.code).toBe('ACCOUNT_LOCKED');
+        expect(Number(locking.headers['retry-after'])).toBe(authConfig.loginLockMinutes * 60);
+
+        // Even the right password is refused while locked
+        const locked = await attempt('password123');
+        expect(locked.status).toBe(423);
+        expect(locked.body.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('resets the failed login count after a successful login', async () => {
+        await createUser({ email: 'shopper@example.com', password: 'password123' });
+        await request(context.app).post('/api/login').send({ email: 'shopper@example.com', password: 'wrong-password' });
+
+        const res = await request(context.app)
+            .post('/api/login')
+            .send({ email: 'shopper@example.com', password: 'password123' });
+
+        expect(res.status).toBe(200);
+        const user = await User.findOne({ email: 'shopper@example.com' });
+        expect(user.failed_login_attempts).toBe(0);
+    });
+
+    it('rate limits attempts from one IP', async () => {
+        const { max } = rateLimitConfig.login;
+        for (let i = 0; i < max; i++) {
+            await request(context.app).post('/api/login').send({});
+        }
+
+        const res = await request(context.app)
+            .post('/api/login')
+            .send({ email: 'shopper@example.com', password: 'password123' });
+
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('RATE_LIMITED');
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+        expect(res.headers['ratelimit-remaining']).toBe('0');
+    });
+});
+
+describe('POST /api/token/refresh', () => {
+    it('rotates the refresh token', async () => {
+        const { refreshToken } = await createUser();
+
+        const res = await request(context.app)
+            .post('/api/token/refresh')
+            .send({ refreshToken });
+
+        expect(res.status).toBe(200);
+        expect(res.body.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('revokes the whole session when a rotated token is reused', async () => {
+        const { refreshToken } = await createUser();
+        const first = await request(context.app).post('/api/token/refresh').send({ refreshToken });
+
+        const reuse = await request(context.app).post('/api/token/refresh').send({ refreshToken });
+        expect(reuse.status).toBe(401);
+        expect(reuse.body.code).toBe('UNAUTHENTICATED');
+
+        const next = await request(context.app)
+            .post('/api/token/refresh')
+            .send({ refreshToken: first.body.refreshToken });
+        expect(next.status).toBe(401);
+    });
+
+    it('rejects an unknown token', async () => {
+        const res = await request(context.app)
+            .post('/api/token/refresh')
+            .send({ refreshToken: 'not-a-real-token' });
+
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('POST /api/logout', () => {
+    it('revokes the refresh token', async () => {
+        const { refreshToken } = await createUser();
+
+        const res = await request(context.app).post('/api/logout').send({ refreshToken });
+        expect(res.status).toBe(200);
+
+        const refresh = await request(context.app).post('/api/token/refresh').send({ refreshToken });
+        expect(refresh.status).toBe(401);
+    });
+});
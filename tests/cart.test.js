@@ -0,0 +1,115 @@
+const request = require('supertest');
+const Product = require('../models/product');
+const { setupIntegration } = require('./helpers/app');
+const { createUser, createProduct } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+describe('cart', () => {
+    it('starts empty', async () => {
+        const customer = await createUser();
+
+        const res = await request(context.app).get('/api/cart').set('Authorization', customer.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.cart).toMatchObject({ items: [], itemCount: 0, subtotal: 0 });
+    });
+
+    it('adds, updates and removes items with current prices', async () => {
+        const customer = await createUser();
+        const product = await createProduct({ price: 12.5, quantity: 10 });
+
+        const added = await request(context.app)
+            .post('/api/cart/items')
+            .set('Authorization', customer.auth)
+            .send({ product_id: String(product._id), quantity: 2 });
+        expect(added.status).toBe(201);
+        expect(added.body.cart).toMatchObject({ itemCount: 2, subtotal: 25 });
+
+        // Adding the same product again increases its quantity
+        await request(context.app)
+            .post('/api/cart/items')
+            .set('Authorization', customer.auth)
+            .send({ product_id: String(product._id) });
+
+        await Product.updateOne({ _id: product._id }, { $set: { price: 10 } });
+
+        const updated = await request(context.app)
+            .put(`/api/cart/items/${product._id}`)
+            .set('Authorization', customer.auth)
+            .send({ quantity: 4 });
+        expect(updated.status).toBe(200);
+        expect(updated.body.cart).toMatchObject({ itemCount: 4, subtotal: 40 });
+
+        const removed = await request(context.app)
+            .delete(`/api/cart/items/${product._id}`)
+            .set('Authorization', customer.auth);
+        expect(removed.status).toBe(200);
+        expect(removed.body.cart.items).toHaveLength(0);
+    });
+
+    it('refuses more than the available stock', async () => {
+        const customer = await createUser();
+        const product = await createProduct({ quantity: 2 });
+
+        const res = await request(context.app)
+            .post('/api/cart/items')
+            .set('Authorization', customer.auth)
+            .send({ product_id: String(product._id), quantity: 3 });
+
+        expect(res.status).toBe(409);
+        expect(res.body).toMatchObject({ code: 'CONFLICT', availableQuantity: 2 });
+    });
+
+    it('flags items whose stock dropped since they were added', async () => {
+        const customer = await createUser();
+        const product = await createProduct({ quantity: 5 });
+        await request(context.app)
+            .post('/api/cart/items')
+            .set('Authorization', customer.auth)
+            .send({ product_id: String(product._id), quantity: 3 });
+
+        await Product.updateOne({ _id: product._id }, { $set: { quantity: 1 } });
+
+        const res = await request(context.app).get('/api/cart').set('Authorization', customer.auth);
+        expect(res.body.cart.hasIssues).toBe(true);
+        expect(res.body.cart.items[0].status).toBe('insufficient_stock');
+    });
+
+    it('answers 404 for unknown items and products', async () => {
+        const customer = await createUser();
+        const product = await createProduct();
+        await Product.deleteOne({ _id: product._id });
+
+        const add = await request(context.app)
+            .post('/api/cart/items')
+            .set('Authorization', customer.auth)
+            .send({ product_id: String(product._id) });
+        expect(add.status).toBe(404);
+
+        const remove = await request(context.app)
+            .delete(`/api/cart/items/${product._id}`)
+            .set('Authorization', customer.auth);
+        expect(remove.status).toBe(404);
+    });
+
+    it('can be cleared', async () => {
+        const customer = await createUser();
+        const product = await createProduct();
+        await request(context.app)
+            .post('/api/cart/items')
+            .set('Authorization', customer.auth)
+            .send({ product_id: String(product._id) });
+
+        const res = await request(context.app).delete('/api/cart').set('Authorization', customer.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.cart.items).toHaveLength(0);
+    });
+
+    it('requires a login', async () => {
+        const res = await request(context.app).get('/api/cart');
+
+        expect(res.status).toBe(401);
+    });
+});
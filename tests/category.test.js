@@ -0,0 +1,195 @@
+const request = require('supertest');
+const Category = require('../models/category');
+const Product = require('../models/product');
+const { setupIntegration } = require('./helpers/app');
+const { createUser, createAdmin, createCategory, createProduct } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+describe('GET /api/categories', () => {
+    it('lists, filters and paginates categories', async () => {
+        const parent = await createCategory({ name: 'Furniture' });
+        await createCategory({ name: 'Chairs', parent_id: parent._id });
+        await createCategory({ name: 'Tables', parent_id: parent._id });
+
+        const res = await request(context.app).get('/api/categories').query({ perPage: 2 });
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ totalCategories: 3, totalPages: 2, count: 2 });
+        expect(res.body.categories.map((category) => category.name)).toEqual(['Chairs', 'Furniture']);
+
+        const children = await request(context.app).get('/api/categories').query({ parent: String(parent._id) });
+        expect(children.body.categories.map((category) => category.name)).toEqual(['Chairs', 'Tables']);
+
+        const roots = await request(context.app).get('/api/categories').query({ parent: 'root' });
+        expect(roots.body.categories.map((category) => category.name)).toEqual(['Furniture']);
+    });
+
+    it('pages with a cursor', async () => {
+        await Promise.all(['A', 'B', 'C'].map((name) => createCategory({ name })));
+
+        const first = await request(context.app).get('/api/categories').query({ pagination: 'cursor', perPage: 2 });
+        expect(first.body.categories.map((category) => category.name)).toEqual(['A', 'B']);
+
+        const second = await request(context.app).get('/api/categories').query({ cursor: first.body.nextCursor, perPage: 2 });
+        expect(second.body.categories.map((category) => category.name)).toEqual(['C']);
+    });
+
+    it('returns the nested tree', async () => {
+        const parent = await createCategory({ name: 'Furniture' });
+        await createCategory({ name: 'Chairs', parent_id: parent._id });
+
+        const res = await request(context.app).get('/api/categories/tree');
+
+        expect(res.status).toBe(200);
+        expect(res.body.categories).toHaveLength(1);
+        expect(res.body.categories[0].children.map((child) => child.name)).toEqual(['Chairs']);
+    });
+});
+
+describe('GET /api/category/:id', () => {
+    it('shows a category and its product count to any signed-in user', async () => {
+        const customer = await createUser();
+        const category = await createCategory();
+        await createProduct({ category });
+
+        const res = await request(context.app)
+            .get(`/api/category/${category._id}`)
+            .set('Authorization', customer.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.productCount).toBe(1);
+    });
+});
+
+describe('POST /api/category', () => {
+    it('creates a category', async () => {
+        const admin = await createAdmin();
+
+        const res = await request(context.app)
+            .post('/api/category')
+            .set('Authorization', admin.auth)
+            .send({ name: 'Lighting', description: 'Lamps and bulbs' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.category.name).toBe('Lighting');
+    });
+
+    it('rejects a duplicate name, including names in the trash', async () => {
+        const admin = await createAdmin();
+        const trashed = await createCategory({ name: 'Old' });
+        await trashed.softDelete(admin.user._id);
+
+        const res = await request(context.app)
+            .post('/api/category')
+            .set('Authorization', admin.auth)
+            .send({ name: 'Old' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.errors.name).toMatch(/trash/);
+    });
+
+    it('is limited to admins', async () => {
+        const customer = await createUser();
+
+        const res = await request(context.app)
+            .post('/api/category')
+            .set('Authorization', customer.auth)
+            .send({ name: 'Lighting' });
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('PUT /api/category/:id', () => {
+    it('renames and moves a category', async () => {
+        const admin = await createAdmin();
+        const parent = await createCategory();
+        const category = await createCategory();
+
+        const res = await request(context.app)
+            .put(`/api/category/${category._id}`)
+            .set('Authorization', admin.auth)
+            .send({ name: 'Renamed', parent_id: String(parent._id) });
+
+        expect(res.status).toBe(200);
+        expect(res.body.category).toMatchObject({ name: 'Renamed', parent_id: String(parent._id) });
+    });
+
+    it('clears cached category and product listings', async () => {
+        const admin = await createAdmin();
+        const category = await createCategory({ name: 'Lamps' });
+        await createProduct({ category_id: category._id });
+
+        await request(context.app).get('/api/categories');
+        await request(context.app).get('/api/products');
+
+        await request(context.app)
+            .put(`/api/category/${category._id}`)
+            .set('Authorization', admin.auth)
+            .send({ name: 'Lighting' });
+
+        const categories = await request(context.app).get('/api/categories');
+        expect(categories.headers['x-cache']).toBe('MISS');
+        expect(categories.body.categories.map((row) => row.name)).toEqual(['Lighting']);
+
+        const products = await request(context.app).get('/api/products');
+        expect(products.body.products[0].category_id.name).toBe('Lighting');
+    });
+
+    it('refuses to move a category under its own descendant', async () => {
+        const admin = await createAdmin();
+        const parent = await createCategory();
+        const child = await createCategory({ parent_id: parent._id });
+
+        const res = await request(context.app)
+            .put(`/api/category/${parent._id}`)
+            .set('Authorization', admin.auth)
+            .send({ parent_id: String(child._id) });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.parent_id).toBeDefined();
+    });
+});
+
+describe('DELETE /api/category/:id', () => {
+    it('is blocked while products use the category', async () => {
+        const admin = await createAdmin();
+        const category = await createCategory();
+        await createProduct({ category });
+
+        const res = await request(context.app)
+            .delete(`/api/category/${category._id}`)
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(409);
+        expect(res.body.productCount).toBe(1);
+    });
+
+    it('reassigns products, moves children up and can be restored', async () => {
+        const admin = await createAdmin();
+        const category = await createCategory();
+        const child = await createCategory({ parent_id: category._id });
+        const target = await createCategory();
+        const product = await createProduct({ category });
+
+        const res = await request(context.app)
+            .delete(`/api/category/${category._id}`)
+            .query({ reassignTo: String(target._id) })
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ reassignedProducts: 1, movedChildren: 1 });
+        expect(String((await Product.findById(product._id)).category_id)).toBe(String(target._id));
+        expect((await Category.findById(child._id)).parent_id).toBeNull();
+
+        const missing = await request(context.app)
+            .get(`/api/category/${category._id}`)
+            .set('Authorization', admin.auth);
+        expect(missing.status).toBe(404);
+
+        const restored = await request(context.app)
+            .post(`/api/category/${category._id}/restore`)
+            .set('Authorization', admin.auth);
+        expect(restored.status).toBe(200);
+    });
+});
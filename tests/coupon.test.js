@@ -0,0 +1,202 @@
+const request = require('supertest');
+const Coupon = require('../models/coupon');
+const AuditLog = require('../models/auditLog');
+const { setupIntegration } = require('./helpers/app');
+const { createUser, createAdmin, createCategory, createProduct } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+function quote(customer, items, couponCode) {
+    return request(context.app)
+        .post('/api/pricing/quote')
+        .set('Authorization', customer.auth)
+        .send({
+            items: items.map(([product, quantity]) => ({ product_id: String(product._id), quantity })),
+            couponCode
+        });
+}
+
+function checkout(customer, items, couponCode) {
+    return request(context.app)
+        .post('/api/orders/checkout')
+        .set('Authorization', customer.auth)
+        .send({
+            items: items.map(([product, quantity]) => ({ product_id: String(product._id), quantity })),
+            couponCode
+        });
+}
+
+describe('admin coupons', () => {
+    it('creates, updates and lists coupons', async () => {
+        const admin = await createAdmin();
+
+        const created = await request(context.app)
+            .post('/api/admin/coupons')
+            .set('Authorization', admin.auth)
+            .send({ code: 'spring10', type: 'percentage', value: 10, minOrderValue: 20 });
+        expect(created.status).toBe(201);
+        expect(created.body.coupon).toMatchObject({ code: 'SPRING10', min_order_value: 20, times_used: 0 });
+
+        const updated = await request(context.app)
+            .put(`/api/admin/coupons/${created.body.coupon._id}`)
+            .set('Authorization', admin.auth)
+            .send({ active: false });
+        expect(updated.body.coupon.active).toBe(false);
+
+        const list = await request(context.app)
+            .get('/api/admin/coupons')
+            .query({ active: 'false' })
+            .set('Authorization', admin.auth);
+        expect(list.body.totalCoupons).toBe(1);
+    });
+
+    it('audits coupon changes', async () => {
+        const admin = await createAdmin();
+        const coupon = await Coupon.create({ code: 'AUDIT5', type: 'fixed', value: 5 });
+
+        await request(context.app)
+            .put(`/api/admin/coupons/${coupon._id}`)
+            .set('Authorization', admin.auth)
+            .send({ value: 7 });
+        await request(context.app)
+            .delete(`/api/admin/coupons/${coupon._id}`)
+            .set('Authorization', admin.auth);
+
+        const entries = await AuditLog.find({ entity: 'coupon', entity_id: coupon._id }).sort({ _id: 1 });
+        expect(entries.map((entry) => entry.action)).toEqual(['update', 'delete']);
+        expect(entries[0].changes).toEqual([expect.objectContaining({ field: 'value', before: 5, after: 7 })]);
+    });
+
+    it('rejects a duplicate code', async () => {
+        const admin = await createAdmin();
+        await Coupon.create({ code: 'SAVE5', type: 'fixed', value: 5 });
+
+        const res = await request(context.app)
+            .post('/api/admin/coupons')
+            .set('Authorization', admin.auth)
+            .send({ code: 'save5', type: 'fixed', value: 5 });
+
+        expect(res.status).toBe(409);
+        expect(res.body.errors.code).toBeDefined();
+    });
+
+    it('rejects a percentage over 100', async () => {
+        const admin = await createAdmin();
+
+        const res = await request(context.app)
+            .post('/api/admin/coupons')
+            .set('Authorization', admin.auth)
+            .send({ code: 'TOOMUCH', type: 'percentage', value: 150 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.value).toBeDefined();
+    });
+
+    it('is limited to admins', async () => {
+        const customer = await createUser();
+
+        const res = await request(context.app).get('/api/admin/coupons').set('Authorization', customer.auth);
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('POST /api/pricing/quote', () => {
+    it('prices sale items and applies a percentage coupon', async () => {
+        const customer = await createUser();
+        const lamp = await createProduct({ price: 40, sale_price: 30 });
+        const bulb = await createProduct({ price: 5 });
+        await Coupon.create({ code: 'TENOFF', type: 'percentage', value: 10 });
+
+        const res = await quote(customer, [[lamp, 2], [bulb, 4]], 'tenoff');
+
+        expect(res.status).toBe(200);
+        expect(res.body.quote).toMatchObject({
+            subtotal: 80,
+            saleSavings: 20,
+            discountTotal: 8,
+            total: 72,
+            rejectedDiscounts: []
+        });
+        expect(res.body.quote.discounts).toEqual([expect.objectContaining({ code: 'TENOFF', amount: 8 })]);
+        expect(res.body.quote.items.map((line) => line.discount)).toEqual([6, 2]);
+    });
+
+    it('limits a coupon to its categories', async () => {
+        const customer = await createUser();
+        const lighting = await createCategory();
+        const lamp = await createProduct({ category: lighting, price: 50 });
+        const chair = await createProduct({ price: 100 });
+        await Coupon.create({ code: 'LIGHT15', type: 'fixed', value: 15, category_ids: [lighting._id] });
+
+        const res = await quote(customer, [[lamp, 1], [chair, 1]], 'LIGHT15');
+
+        expect(res.body.quote.total).toBe(135);
+        expect(res.body.quote.items.find((line) => line.product_id === String(lamp._id)).discount).toBe(15);
+    });
+
+    it('explains why a coupon was rejected', async () => {
+        const customer = await createUser();
+        const bulb = await createProduct({ price: 5 });
+        await Coupon.create({ code: 'BIGSPEND', type: 'fixed', value: 10, min_order_value: 100 });
+        await Coupon.create({ code: 'OLD', type: 'fixed', value: 10, ends_at: new Date(Date.now() - 1000) });
+
+        const belowMinimum = await quote(customer, [[bulb, 1]], 'BIGSPEND');
+        const expired = await quote(customer, [[bulb, 1]], 'OLD');
+        const unknown = await quote(customer, [[bulb, 1]], 'NOPE');
+
+        expect(belowMinimum.body.quote.total).toBe(5);
+        expect(belowMinimum.body.quote.rejectedDiscounts).toEqual([
+            expect.objectContaining({ code: 'BIGSPEND', reason: 'COUPON_MIN_ORDER' })
+        ]);
+        expect(expired.body.quote.rejectedDiscounts[0].reason).toBe('COUPON_EXPIRED');
+        expect(unknown.body.quote.rejectedDiscounts[0].reason).toBe('COUPON_NOT_FOUND');
+    });
+});
+
+describe('checkout with a coupon', () => {
+    it('charges the discounted total and counts the use', async () => {
+        const customer = await createUser();
+        const lamp = await createProduct({ price: 40 });
+        const coupon = await Coupon.create({ code: 'FIVE', type: 'fixed', value: 5 });
+
+        const res = await checkout(customer, [[lamp, 1]], 'FIVE');
+
+        expect(res.status).toBe(201);
+        expect(res.body.order).toMatchObject({ subtotal: 40, discount_total: 5, total: 35 });
+        expect(res.body.order.coupon.code).toBe('FIVE');
+        expect((await Coupon.findById(coupon._id)).times_used).toBe(1);
+    });
+
+    it('enforces the per-user cap and gives the use back on cancel', async () => {
+        const customer = await createUser();
+        const lamp = await createProduct({ price: 40, quantity: 10 });
+        const coupon = await Coupon.create({ code: 'ONCE', type: 'fixed', value: 5, usage_limit_per_user: 1 });
+
+        const first = await checkout(customer, [[lamp, 1]], 'ONCE');
+        const second = await checkout(customer, [[lamp, 1]], 'ONCE');
+        expect(second.status).toBe(400);
+        expect(second.body.reason).toBe('COUPON_USER_LIMIT');
+
+        await request(context.app)
+            .post(`/api/orders/${first.body.order._id}/cancel`)
+            .set('Authorization', customer.auth);
+        expect((await Coupon.findById(coupon._id)).times_used).toBe(0);
+
+        const retry = await checkout(customer, [[lamp, 1]], 'ONCE');
+        expect(retry.status).toBe(201);
+    });
+
+    it('enforces the global cap', async () => {
+        const first = await createUser();
+        const second = await createUser();
+        const lamp = await createProduct({ price: 40 });
+        await Coupon.create({ code: 'LIMITED', type: 'fixed', value: 5, usage_limit: 1 });
+
+        await checkout(first, [[lamp, 1]], 'LIMITED');
+        const res = await checkout(second, [[lamp, 1]], 'LIMITED');
+
+        expect(res.status).toBe(400);
+        expect(res.body.reason).toBe('COUPON_USAGE_LIMIT');
+    });
+});
@@ -0,0 +1,36 @@
+const { createApp } = require('../../app');
+const { createMemoryStore } = require('../../rateLimit');
+const { createMemoryStore: createMemoryCache } = require('../../cache');
+const { createMemoryStorage } = require('./memoryStorage');
+const { connectDatabase, clearDatabase, closeDatabase } = require('./db');
+
+// Registers the usual hooks for an integration test file and returns a
+// context whose `app`, `storage`, `rateLimitStore` and `cacheStore` are set once the database is up
+function setupIntegration() {
+    const context = {};
+
+    beforeAll(async () => {
+        await connectDatabase();
+        context.storage = createMemoryStorage();
+        context.rateLimitStore = createMemoryStore();
+        context.cacheStore = createMemoryCache();
+        context.app = createApp({
+            storage: context.storage,
+            rateLimitStore: context.rateLimitStore,
+            cacheStore: context.cacheStore
+        });
+    });
+
+    afterEach(async () => {
+        await clearDatabase();
+        context.storage.files.clear();
+        context.rateLimitStore.clear();
+        context.cacheStore.clear();
+    });
+
+    afterAll(closeDatabase);
+
+    return context;
+}
+
+module.exports = { setupIntegration };
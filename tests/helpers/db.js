@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server;
+
+// Starts a throwaway MongoDB and builds the model indexes (text search and
+// unique SKUs depend on them)
+async function connectDatabase() {
+    server = await MongoMemoryServer.create();
+    await mongoose.connect(server.getUri());
+    await Promise.all(Object.values(mongoose.models).map((model) => model.syncIndexes()));
+}
+
+async function clearDatabase() {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map((collection) => collection.deleteMany({})));
+}
+
+async function closeDatabase() {
+    await mongoose.disconnect();
+    if (server) await server.stop();
+}
+
+module.exports = {
+    connectDatabase,
+    clearDatabase,
+    closeDatabase
+};
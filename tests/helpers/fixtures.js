@@ -0,0 +1,55 @@
+const sharp = require('sharp');
+const User = require('../../models/user');
+const Category = require('../../models/category');
+const Product = require('../../models/product');
+const { issueAuthTokens } = require('../../utils/authTokens');
+
+let counter = 0;
+const unique = (prefix) => `${prefix}-${++counter}`;
+
+// A small real JPEG, since uploads go through sharp
+function imageBuffer({ width = 64, height = 48, format = 'jpeg' } = {}) {
+    return sharp({
+        create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } }
+    })[format]().toBuffer();
+}
+
+// Creates a user and returns it with a ready-to-use Authorization header
+async function createUser({ role = 'customer', email, password = 'password123' } = {}) {
+    const user = await User.create({ email: email || `${unique('user')}@example.com`, password, role });
+    const { token, refreshToken } = await issueAuthTokens(user);
+    return { user, token, refreshToken, password, auth: `Bearer ${token}` };
+}
+
+function createAdmin(options = {}) {
+    return createUser({ ...options, role: 'admin' });
+}
+
+function createCategory(fields = {}) {
+    return Category.create({ name: unique('Category'), ...fields });
+}
+
+// Inserts a product directly, bypassing image processing. Pass `category` or
+// `category_id`; a new category is created otherwise.
+async function createProduct({ category, ...fields } = {}) {
+    const categoryId = fields.category_id || (category || await createCategory())._id;
+    return Product.create({
+        name: unique('Product'),
+        title: 'Test product',
+        description: 'A product created by the test suite',
+        image: 'https://images.test/product.jpg',
+        thumbnail_image: 'https://images.test/product-thumb.jpg',
+        price: 10,
+        quantity: 5,
+        ...fields,
+        category_id: categoryId
+    });
+}
+
+module.exports = {
+    imageBuffer,
+    createUser,
+    createAdmin,
+    createCategory,
+    createProduct
+};
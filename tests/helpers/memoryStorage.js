@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+const BASE_URL = 'https://images.test';
+
+// Storage driver that keeps files in a Map, so tests never touch the disk or
+// Cloudinary. `files` is exposed for assertions.
+function createMemoryStorage() {
+    const files = new Map();
+
+    return {
+        name: 'memory',
+        files,
+
+        async upload(buffer, { format = 'jpg' } = {}) {
+            const key = `${crypto.randomUUID()}.${format}`;
+            files.set(key, buffer);
+            return { url: `${BASE_URL}/${key}`, key };
+        },
+
+        async remove(key) {
+            files.delete(key);
+        },
+
+        async read({ url, key }) {
+            const buffer = files.get(key || this.keyFromUrl(url));
+            if (!buffer) throw new Error(`No stored file for ${url}`);
+            return buffer;
+        },
+
+        keyFromUrl(url) {
+            return url.startsWith(`${BASE_URL}/`) ? url.slice(BASE_URL.length + 1) : null;
+        }
+    };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,235 @@
+const request = require('supertest');
+const Product = require('../models/product');
+const StockMovement = require('../models/stockMovement');
+const AuditLog = require('../models/auditLog');
+const inventoryConfig = require('../config/inventory');
+const { setupIntegration } = require('./helpers/app');
+const { createUser, createAdmin, createProduct } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+describe('receiving and adjusting stock', () => {
+    it('records each change in the ledger', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ quantity: 5 });
+
+        const received = await request(context.app)
+            .post(`/api/inventory/${product._id}/receive`)
+            .set('Authorization', admin.auth)
+            .send({ quantity: 10, reference: 'PO-1001' });
+        expect(received.status).toBe(200);
+        expect(received.body.quantity).toBe(15);
+
+        const adjusted = await request(context.app)
+            .post(`/api/inventory/${product._id}/adjust`)
+            .set('Authorization', admin.auth)
+            .send({ delta: -2, reason: 'Damaged in storage' });
+        expect(adjusted.body.quantity).toBe(13);
+
+        const list = await request(context.app)
+            .get('/api/inventory/movements')
+            .query({ product: String(product._id) })
+            .set('Authorization', admin.auth);
+        expect(list.body.movements.map((movement) => [movement.type, movement.delta])).toEqual([
+            ['adjustment', -2],
+            ['receipt', 10]
+        ]);
+        expect(list.body.movements[1]).toMatchObject({ reference: 'PO-1001', quantity_after: 15 });
+        expect(list.body.movements[0].user_id.email).toBe(admin.user.email);
+    });
+
+    it('audits stock and threshold changes', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ quantity: 5 });
+
+        await request(context.app)
+            .post(`/api/inventory/${product._id}/receive`)
+            .set('Authorization', admin.auth)
+            .send({ quantity: 3 });
+        await request(context.app)
+            .put(`/api/inventory/${product._id}/threshold`)
+            .set('Authorization', admin.auth)
+            .send({ threshold: 2 });
+
+        const entries = await AuditLog.find({ entity_id: product._id }).sort({ createdAt: 1, _id: 1 });
+        expect(entries.map((entry) => entry.changes.map((change) => [change.field, change.before, change.after]))).toEqual([
+            [['quantity', 5, 8]],
+            [['low_stock_threshold', null, 2]]
+        ]);
+        expect(String(entries[0].user_id)).toBe(String(admin.user._id));
+    });
+
+    it('does not let stock go below zero', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ quantity: 1 });
+
+        const res = await request(context.app)
+            .post(`/api/inventory/${product._id}/adjust`)
+            .set('Authorization', admin.auth)
+            .send({ delta: -3, reason: 'Stock count' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.availableQuantity).toBe(1);
+        expect(await StockMovement.countDocuments()).toBe(0);
+    });
+
+    it('requires a reason for adjustments', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct();
+
+        const res = await request(context.app)
+            .post(`/api/inventory/${product._id}/adjust`)
+            .set('Authorization', admin.auth)
+            .send({ delta: 2 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.reason).toBeDefined();
+    });
+
+    it('rejects a zero delta in any spelling', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct();
+
+        for (const delta of ['0', '-0', '00']) {
+            const res = await request(context.app)
+                .post(`/api/inventory/${product._id}/adjust`)
+                .set('Authorization', admin.auth)
+                .send({ delta, reason: 'Stock count' });
+            expect(res.status).toBe(400);
+            expect(res.body.errors.delta).toBe('Delta cannot be zero');
+        }
+        expect(await StockMovement.countDocuments()).toBe(0);
+    });
+
+    it('changes the variant named by the SKU', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ variants: [{ sku: 'TEE-S', quantity: 2 }, { sku: 'TEE-M', quantity: 3 }] });
+
+        const missingSku = await request(context.app)
+            .post(`/api/inventory/${product._id}/receive`)
+            .set('Authorization', admin.auth)
+            .send({ quantity: 4 });
+        expect(missingSku.status).toBe(400);
+
+        await request(context.app)
+            .post(`/api/inventory/${product._id}/receive`)
+            .set('Authorization', admin.auth)
+            .send({ quantity: 4, sku: 'TEE-S' });
+
+        const stored = await Product.findById(product._id);
+        expect(stored.quantity).toBe(9);
+        expect(stored.variants.find((variant) => variant.sku === 'TEE-S').quantity).toBe(6);
+    });
+
+    it('is limited to admins', async () => {
+        const customer = await createUser();
+        const product = await createProduct();
+
+        const res = await request(context.app)
+            .post(`/api/inventory/${product._id}/receive`)
+            .set('Authorization', customer.auth)
+            .send({ quantity: 1 });
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('stock changes elsewhere', () => {
+    it('records sales and cancellations', async () => {
+        const customer = await createUser();
+        const product = await createProduct({ quantity: 5 });
+
+        const order = await request(context.app)
+            .post('/api/orders/checkout')
+            .set('Authorization', customer.auth)
+            .send({ items: [{ product_id: String(product._id), quantity: 2 }] });
+        await request(context.app)
+            .post(`/api/orders/${order.body.order._id}/cancel`)
+            .set('Authorization', customer.auth);
+
+        const movements = await StockMovement.find({ product_id: product._id }).sort({ createdAt: 1, _id: 1 });
+        expect(movements.map((movement) => [movement.type, movement.delta, movement.reference])).toEqual([
+            ['sale', -2, order.body.order._id],
+            ['cancellation', 2, order.body.order._id]
+        ]);
+    });
+
+    it('records quantity edits made through the product', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ quantity: 5 });
+
+        await request(context.app)
+            .put(`/api/product/${product._id}`)
+            .set('Authorization', admin.auth)
+            .field('quantity', '8');
+
+        const movement = await StockMovement.findOne({ product_id: product._id });
+        expect(movement).toMatchObject({ type: 'adjustment', delta: 3, quantity_after: 8 });
+    });
+});
+
+describe('GET /api/inventory/low-stock', () => {
+    it('lists products at or below their threshold', async () => {
+        const admin = await createAdmin();
+        const empty = await createProduct({ quantity: 0 });
+        const custom = await createProduct({ quantity: 15 });
+        await createProduct({ quantity: inventoryConfig.defaultLowStockThreshold + 1 });
+
+        await request(context.app)
+            .put(`/api/inventory/${custom._id}/threshold`)
+            .set('Authorization', admin.auth)
+            .send({ threshold: 20 });
+
+        const res = await request(context.app).get('/api/inventory/low-stock').set('Authorization', admin.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.products.map((product) => product._id)).toEqual([String(empty._id), String(custom._id)]);
+        expect(res.body.products[1].threshold).toBe(20);
+    });
+});
+
+describe('POST /api/inventory/:productId/rebuild', () => {
+    it('resets the quantity to the ledger total', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ quantity: 5 });
+        await StockMovement.create([
+            { product_id: product._id, type: 'initial', delta: 5 },
+            { product_id: product._id, type: 'sale', delta: -2 }
+        ]);
+
+        const res = await request(context.app)
+            .post(`/api/inventory/${product._id}/rebuild`)
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ previousQuantity: 5, quantity: 3, drift: 2 });
+        expect((await Product.findById(product._id)).quantity).toBe(3);
+        const audit = await AuditLog.findOne({ entity_id: product._id });
+        expect(audit.changes).toEqual([expect.objectContaining({ field: 'quantity', before: 5, after: 3 })]);
+    });
+
+    it('refuses products with variants', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ variants: [{ sku: 'TEE-S', quantity: 2 }] });
+        await StockMovement.create({ product_id: product._id, sku: 'TEE-S', type: 'initial', delta: 5 });
+
+        const res = await request(context.app)
+            .post(`/api/inventory/${product._id}/rebuild`)
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(409);
+        expect((await Product.findById(product._id)).quantity).toBe(2);
+    });
+
+    it('refuses products without a ledger', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ quantity: 5 });
+
+        const res = await request(context.app)
+            .post(`/api/inventory/${product._id}/rebuild`)
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(409);
+        expect((await Product.findById(product._id)).quantity).toBe(5);
+    });
+});
@@ -0,0 +1,183 @@
+const request = require('supertest');
+const AuditLog = require('../models/auditLog');
+const Product = require('../models/product');
+const StockMovement = require('../models/stockMovement');
+const { setupIntegration } = require('./helpers/app');
+const { createUser, createAdmin, createProduct } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+function checkout(customer, items) {
+    return request(context.app)
+        .post('/api/orders/checkout')
+        .set('Authorization', customer.auth)
+        .send({ items: items.map(([product, quantity]) => ({ product_id: String(product._id), quantity })) });
+}
+
+describe('POST /api/orders/checkout', () => {
+    it('reserves stock and snapshots prices', async () => {
+        const customer = await createUser();
+        const lamp = await createProduct({ price: 30, quantity: 5 });
+        const bulb = await createProduct({ price: 2, quantity: 50 });
+
+        const res = await checkout(customer, [[lamp, 2], [bulb, 3], [lamp, 1]]);
+
+        expect(res.status).toBe(201);
+        expect(res.body.order).toMatchObject({ status: 'pending', total: 96 });
+        expect(res.body.order.items).toHaveLength(2);
+        expect((await Product.findById(lamp._id)).quantity).toBe(2);
+        expect((await Product.findById(bulb._id)).quantity).toBe(47);
+    });
+
+    it('reserves nothing when one line cannot be filled', async () => {
+        const customer = await createUser();
+        const lamp = await createProduct({ quantity: 5 });
+        const bulb = await createProduct({ quantity: 1 });
+
+        const res = await checkout(customer, [[lamp, 2], [bulb, 3]]);
+
+        expect(res.status).toBe(409);
+        expect(res.body.availableQuantity).toBe(1);
+        expect((await Product.findById(lamp._id)).quantity).toBe(5);
+    });
+
+    it('sells variants by SKU and restocks them on cancellation', async () => {
+        const customer = await createUser();
+        const tee = await createProduct({
+            price: 20,
+            options: [{ name: 'Size', values: ['S', 'M'] }],
+            variants: [
+                { sku: 'TEE-S', options: { Size: 'S' }, quantity: 2, price: 15 },
+                { sku: 'TEE-M', options: { Size: 'M' }, quantity: 3 }
+            ]
+        });
+
+        const withoutSku = await checkout(customer, [[tee, 1]]);
+        expect(withoutSku.status).toBe(400);
+
+        const tooMany = await request(context.app)
+            .post('/api/orders/checkout')
+            .set('Authorization', customer.auth)
+            .send({ items: [{ product_id: String(tee._id), sku: 'TEE-S', quantity: 3 }] });
+        expect(tooMany.status).toBe(409);
+        expect(tooMany.body.availableQuantity).toBe(2);
+
+        const placed = await request(context.app)
+            .post('/api/orders/checkout')
+            .set('Authorization', customer.auth)
+            .send({ items: [{ product_id: String(tee._id), sku: 'TEE-S', quantity: 2 }] });
+        expect(placed.status).toBe(201);
+        expect(placed.body.order.items[0]).toMatchObject({ sku: 'TEE-S', price: 15 });
+
+        let stored = await Product.findById(tee._id);
+        expect(stored.quantity).toBe(3);
+        expect(stored.variants.map((variant) => variant.quantity)).toEqual([0, 3]);
+
+        // A later variant edit recomputes the total from the variants; the sale must survive it
+        stored.variants[1].price = 22;
+        await stored.save();
+        expect((await Product.findById(tee._id)).quantity).toBe(3);
+
+        await request(context.app)
+            .post(`/api/orders/${placed.body.order._id}/cancel`)
+            .set('Authorization', customer.auth);
+        stored = await Product.findById(tee._id);
+        expect(stored.quantity).toBe(5);
+        expect(stored.variants.map((variant) => variant.quantity)).toEqual([2, 3]);
+
+        const movements = await StockMovement.find({ product_id: tee._id }).sort({ _id: 1 });
+        expect(movements.map((movement) => [movement.type, movement.sku, movement.delta]))
+            .toEqual([['sale', 'TEE-S', -2], ['cancellation', 'TEE-S', 2]]);
+    });
+});
+
+describe('customer orders', () => {
+    it('lists and reads only the customer\'s own orders', async () => {
+        const customer = await createUser();
+        const other = await createUser();
+        const product = await createProduct({ quantity: 10 });
+        const placed = await checkout(customer, [[product, 1]]);
+
+        const list = await request(context.app).get('/api/orders').set('Authorization', customer.auth);
+        expect(list.body.totalOrders).toBe(1);
+
+        const own = await request(context.app)
+            .get(`/api/orders/${placed.body.order._id}`)
+            .set('Authorization', customer.auth);
+        expect(own.status).toBe(200);
+
+        const foreign = await request(context.app)
+            .get(`/api/orders/${placed.body.order._id}`)
+            .set('Authorization', other.auth);
+        expect(foreign.status).toBe(404);
+    });
+
+    it('rejects a status filter that is not an order status', async () => {
+        const customer = await createUser();
+
+        const res = await request(context.app)
+            .get('/api/orders?status[$ne]=cancelled')
+            .set('Authorization', customer.auth);
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.status).toBeDefined();
+    });
+
+    it('cancels a pending order and restocks', async () => {
+        const customer = await createUser();
+        const product = await createProduct({ quantity: 4 });
+        const placed = await checkout(customer, [[product, 3]]);
+
+        const res = await request(context.app)
+            .post(`/api/orders/${placed.body.order._id}/cancel`)
+            .set('Authorization', customer.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.order.status).toBe('cancelled');
+        expect((await Product.findById(product._id)).quantity).toBe(4);
+
+        const again = await request(context.app)
+            .post(`/api/orders/${placed.body.order._id}/cancel`)
+            .set('Authorization', customer.auth);
+        expect(again.status).toBe(409);
+    });
+});
+
+describe('admin orders', () => {
+    it('lists every order and advances the status', async () => {
+        const admin = await createAdmin();
+        const customer = await createUser();
+        const product = await createProduct({ quantity: 4 });
+        const placed = await checkout(customer, [[product, 1]]);
+
+        const list = await request(context.app)
+            .get('/api/admin/orders')
+            .query({ status: 'pending' })
+            .set('Authorization', admin.auth);
+        expect(list.status).toBe(200);
+        expect(list.body.orders[0].user_id.email).toBe(customer.user.email);
+
+        const paid = await request(context.app)
+            .patch(`/api/admin/orders/${placed.body.order._id}/status`)
+            .set('Authorization', admin.auth)
+            .send({ status: 'paid' });
+        expect(paid.status).toBe(200);
+        expect(paid.body.order.status_history.map((entry) => entry.status)).toEqual(['pending', 'paid']);
+        const audit = await AuditLog.findOne({ entity: 'order', entity_id: placed.body.order._id });
+        expect(audit.changes).toContainEqual(expect.objectContaining({ field: 'status', before: 'pending', after: 'paid' }));
+
+        const skipped = await request(context.app)
+            .patch(`/api/admin/orders/${placed.body.order._id}/status`)
+            .set('Authorization', admin.auth)
+            .send({ status: 'delivered' });
+        expect(skipped.status).toBe(409);
+    });
+
+    it('is limited to admins', async () => {
+        const customer = await createUser();
+
+        const res = await request(context.app).get('/api/admin/orders').set('Authorization', customer.auth);
+
+        expect(res.status).toBe(403);
+    });
+});
@@ -0,0 +1,636 @@
+const request = require('supertest');
+const Product = require('../models/product');
+const Cart = require('../models/cart');
+const AuditLog = require('../models/auditLog');
+const { setupIntegration } = require('./helpers/app');
+const {
+    imageBuffer,
+    createUser,
+    createAdmin,
+    createCategory,
+    createProduct
+} = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+// Posts a product through the multipart endpoint
+async function addProduct(admin, fields, image) {
+    const req = request(context.app).post('/api/product/add').set('Authorization', admin.auth);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, String(value)));
+    if (image !== null) {
+        req.attach('image', image || await imageBuffer(), { filename: 'product.jpg', contentType: 'image/jpeg' });
+    }
+    return req;
+}
+
+describe('POST /api/product/add', () => {
+    it('stores the image variants and creates the product', async () => {
+        const admin = await createAdmin();
+        const category = await createCategory();
+
+        const res = await addProduct(admin, {
+            name: 'Desk lamp',
+            title: 'LED desk lamp',
+            description: 'Dimmable lamp',
+            category_id: category._id,
+            price: 30,
+            quantity: 4
+        });
+
+        expect(res.status).toBe(201);
+        expect(res.body.product.images).toHaveLength(1);
+        expect(res.body.product.images[0].is_primary).toBe(true);
+        expect(res.body.product.image).toBe(res.body.product.images[0].url);
+        // The original plus one file per configured variant
+        expect(context.storage.files.size).toBeGreaterThan(1);
+
+        const audit = await AuditLog.findOne({ entity_id: res.body.product._id });
+        expect(audit.action).toBe('create');
+    });
+
+    it('requires an image', async () => {
+        const admin = await createAdmin();
+        const category = await createCategory();
+
+        const res = await addProduct(admin, {
+            name: 'Desk lamp', title: 'Lamp', description: 'Lamp', category_id: category._id, price: 30, quantity: 4
+        }, null);
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.image).toBeDefined();
+    });
+
+    it('validates the fields', async () => {
+        const admin = await createAdmin();
+
+        const res = await addProduct(admin, { name: 'Desk lamp', price: 'free' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('VALIDATION_FAILED');
+        expect(res.body.errors).toHaveProperty('price');
+        expect(res.body.errors).toHaveProperty('category_id');
+    });
+
+    it('is limited to admins', async () => {
+        const customer = await createUser();
+
+        const res = await addProduct(customer, { name: 'Desk lamp' });
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('FORBIDDEN');
+    });
+
+    it('rejects images over the size limit', async () => {
+        const admin = await createAdmin();
+        const category = await createCategory();
+
+        const res = await addProduct(admin, {
+            name: 'Desk lamp', title: 'Lamp', description: 'Lamp', category_id: category._id, price: 30, quantity: 4
+        }, Buffer.alloc(3 * 1024 * 1024));
+
+        expect(res.status).toBe(413);
+        expect(res.body.code).toBe('FILE_TOO_LARGE');
+    });
+});
+
+describe('GET /api/products', () => {
+    it('paginates, filters and reports facets', async () => {
+        const lamps = await createCategory({ name: 'Lamps' });
+        const chairs = await createCategory({ name: 'Chairs' });
+        await createProduct({ name: 'Desk lamp', price: 30, category: lamps });
+        await createProduct({ name: 'Floor lamp', price: 120, category: lamps });
+        await createProduct({ name: 'Office chair', price: 200, category: chairs, quantity: 0 });
+
+        const res = await request(context.app).get('/api/products').query({ category: String(lamps._id) });
+
+        expect(res.status).toBe(200);
+        expect(res.body.totalProducts).toBe(2);
+        expect(res.body.products.map((product) => product.name).sort()).toEqual(['Desk lamp', 'Floor lamp']);
+        expect(res.body.facets.categories).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'Lamps', count: 2 }),
+            expect.objectContaining({ name: 'Chairs', count: 1 })
+        ]));
+    });
+
+    it('filters by price and stock and sorts', async () => {
+        await createProduct({ name: 'Cheap', price: 5 });
+        await createProduct({ name: 'Mid', price: 50 });
+        await createProduct({ name: 'Sold out', price: 60, quantity: 0 });
+
+        const res = await request(context.app)
+            .get('/api/products')
+            .query({ minPrice: 10, inStock: 'true', sortField: 'price', sortOrder: 'desc' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.products.map((product) => product.name)).toEqual(['Mid']);
+    });
+
+    it('ranks full-text matches', async () => {
+        await createProduct({ name: 'Walnut desk', description: 'Solid walnut' });
+        await createProduct({ name: 'Oak shelf', description: 'A shelf' });
+
+        const res = await request(context.app).get('/api/products').query({ q: 'walnut' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.products.map((product) => product.name)).toEqual(['Walnut desk']);
+    });
+
+    it('walks pages with a cursor', async () => {
+        for (let index = 0; index < 5; index += 1) {
+            await createProduct({ name: `Product ${index}`, price: index + 1 });
+        }
+
+        const first = await request(context.app)
+            .get('/api/products')
+            .query({ pagination: 'cursor', perPage: 3, sortField: 'price' });
+        expect(first.body.products.map((product) => product.price)).toEqual([1, 2, 3]);
+
+        const second = await request(context.app)
+            .get('/api/products')
+            .query({ cursor: first.body.nextCursor, perPage: 3, sortField: 'price' });
+        expect(second.body.products.map((product) => product.price)).toEqual([4, 5]);
+        expect(second.body.nextCursor).toBeNull();
+    });
+
+    it('caches each option filter separately', async () => {
+        const variants = (size) => ({
+            options: [{ name: 'Size', values: [size] }],
+            variants: [{ sku: `TEE-${size}`, options: { Size: size }, quantity: 2 }]
+        });
+        await createProduct({ name: 'Medium tee', ...variants('M') });
+        await createProduct({ name: 'Large tee', ...variants('L') });
+
+        const medium = await request(context.app).get('/api/products').query('options[Size]=M');
+        const large = await request(context.app).get('/api/products').query('options[Size]=L');
+
+        expect(medium.body.products.map((product) => product.name)).toEqual(['Medium tee']);
+        expect(large.headers['x-cache']).toBe('MISS');
+        expect(large.body.products.map((product) => product.name)).toEqual(['Large tee']);
+    });
+
+    it('rejects an unknown sort field', async () => {
+        const res = await request(context.app).get('/api/products').query({ sortField: 'password' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.sortField).toBeDefined();
+    });
+});
+
+describe('GET /api/product/:id', () => {
+    it('returns the product with its price range', async () => {
+        const product = await createProduct({ price: 12 });
+
+        const res = await request(context.app).get(`/api/product/${product._id}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.product.price_range).toEqual({ min: 12, max: 12 });
+    });
+
+    it('answers 404 for a missing product and 400 for a malformed id', async () => {
+        const product = await createProduct();
+        await Product.deleteOne({ _id: product._id });
+
+        const missing = await request(context.app).get(`/api/product/${product._id}`);
+        expect(missing.status).toBe(404);
+        expect(missing.body.code).toBe('NOT_FOUND');
+
+        const malformed = await request(context.app).get('/api/product/not-an-id');
+        expect(malformed.status).toBe(400);
+    });
+
+    it('serves repeat reads from the cache and answers 304 to a matching ETag', async () => {
+        const product = await createProduct();
+
+        const first = await request(context.app).get(`/api/product/${product._id}`);
+        expect(first.headers['x-cache']).toBe('MISS');
+        expect(first.headers.etag).toBeDefined();
+        expect(first.headers['last-modified']).toBeDefined();
+
+        const second = await request(context.app).get(`/api/product/${product._id}`);
+        expect(second.headers['x-cache']).toBe('HIT');
+        expect(second.body).toEqual(first.body);
+
+        const revalidated = await request(context.app)
+            .get(`/api/product/${product._id}`)
+            .set('If-None-Match', first.headers.etag);
+        expect(revalidated.status).toBe(304);
+    });
+
+    it('drops the cached product when it is updated', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ price: 12 });
+        const first = await request(context.app).get(`/api/product/${product._id}`);
+
+        await request(context.app)
+            .put(`/api/product/${product._id}`)
+            .set('Authorization', admin.auth)
+            .field('price', '15');
+
+        const res = await request(context.app)
+            .get(`/api/product/${product._id}`)
+            .set('If-None-Match', first.headers.etag);
+        expect(res.status).toBe(200);
+        expect(res.headers['x-cache']).toBe('MISS');
+        expect(res.body.product.price).toBe(15);
+    });
+});
+
+describe('PUT /api/product/:id', () => {
+    it('updates fields and replaces the primary image', async () => {
+        const admin = await createAdmin();
+        const category = await createCategory();
+        const created = await addProduct(admin, {
+            name: 'Desk lamp', title: 'Lamp', description: 'Lamp', category_id: category._id, price: 30, quantity: 4
+        });
+        const oldUrl = created.body.product.image;
+
+        const res = await request(context.app)
+            .put(`/api/product/${created.body.product._id}`)
+            .set('Authorization', admin.auth)
+            .field('price', '35')
+            .attach('image', await imageBuffer({ format: 'png' }), { filename: 'new.png', contentType: 'image/png' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.product.price).toBe(35);
+        expect(res.body.product.image).not.toBe(oldUrl);
+        expect(context.storage.keyFromUrl(oldUrl)).not.toBeNull();
+        expect(context.storage.files.has(context.storage.keyFromUrl(oldUrl))).toBe(false);
+    });
+
+    it('refuses a quantity for a product with variants', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ variants: [{ sku: 'MUG-RED', quantity: 2 }] });
+
+        const res = await request(context.app)
+            .put(`/api/product/${product._id}`)
+            .set('Authorization', admin.auth)
+            .field('quantity', '9');
+
+        expect(res.status).toBe(409);
+        expect(res.body.errors.quantity).toBeDefined();
+        expect((await Product.findById(product._id)).quantity).toBe(2);
+    });
+});
+
+describe('PUT /api/product/:id/variants', () => {
+    it('stores variants and derives the stock from them', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct();
+
+        const res = await request(context.app)
+            .put(`/api/product/${product._id}/variants`)
+            .set('Authorization', admin.auth)
+            .send({
+                options: [{ name: 'Size', values: ['S', 'M'] }],
+                variants: [
+                    { sku: 'TEE-S', options: { Size: 'S' }, quantity: 2, price: 15 },
+                    { sku: 'TEE-M', options: { Size: 'M' }, quantity: 3 }
+                ]
+            });
+
+        expect(res.status).toBe(200);
+        expect(res.body.product.quantity).toBe(5);
+        expect(res.body.product.price_range).toEqual({ min: 10, max: 15 });
+    });
+
+    it('rejects a SKU used by another product', async () => {
+        const admin = await createAdmin();
+        await createProduct({ variants: [{ sku: 'TAKEN-1', quantity: 1 }] });
+        const product = await createProduct();
+
+        const res = await request(context.app)
+            .put(`/api/product/${product._id}/variants`)
+            .set('Authorization', admin.auth)
+            .send({ options: [], variants: [{ sku: 'TAKEN-1', quantity: 1 }] });
+
+        expect(res.status).toBe(409);
+        expect(res.body.errors.sku).toBeDefined();
+    });
+});
+
+describe('PUT and DELETE /api/product/:id/sale', () => {
+    it('shows a running sale next to the regular price', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ price: 40 });
+
+        const res = await request(context.app)
+            .put(`/api/product/${product._id}/sale`)
+            .set('Authorization', admin.auth)
+            .send({ salePrice: 30, endsAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+        expect(res.status).toBe(200);
+
+        const list = await request(context.app).get('/api/products');
+        expect(list.body.products[0]).toMatchObject({ price: 40, sale_price: 30, current_price: 30, on_sale: true });
+
+        await request(context.app).delete(`/api/product/${product._id}/sale`).set('Authorization', admin.auth);
+        const cleared = await request(context.app).get(`/api/product/${product._id}`);
+        expect(cleared.body.product).toMatchObject({ current_price: 40, on_sale: false });
+    });
+
+    it('ignores a sale that has not started', async () => {
+        const product = await createProduct({
+            price: 40,
+            sale_price: 30,
+            sale_starts_at: new Date(Date.now() + 60 * 60 * 1000)
+        });
+
+        const res = await request(context.app).get(`/api/product/${product._id}`);
+
+        expect(res.body.product).toMatchObject({ current_price: 40, on_sale: false });
+    });
+
+    it('rejects a sale price above the regular price', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({ price: 40 });
+
+        const res = await request(context.app)
+            .put(`/api/product/${product._id}/sale`)
+            .set('Authorization', admin.auth)
+            .send({ salePrice: 45 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.sale_price).toBeDefined();
+    });
+});
+
+describe('product gallery', () => {
+    async function productWithImages(admin, count) {
+        const category = await createCategory();
+        const created = await addProduct(admin, {
+            name: 'Desk lamp', title: 'Lamp', description: 'Lamp', category_id: category._id, price: 30, quantity: 4
+        });
+        const req = request(context.app)
+            .post(`/api/product/${created.body.product._id}/images`)
+            .set('Authorization', admin.auth);
+        for (let index = 1; index < count; index += 1) {
+            req.attach('images', await imageBuffer(), { filename: `extra-${index}.jpg`, contentType: 'image/jpeg' });
+        }
+        const res = await req;
+        expect(res.status).toBe(201);
+        return res.body.product;
+    }
+
+    it('adds, reorders, promotes and removes images', async () => {
+        const admin = await createAdmin();
+        const product = await productWithImages(admin, 3);
+        const ids = product.images.map((image) => image._id);
+        expect(ids).toHaveLength(3);
+
+        const reordered = await request(context.app)
+            .put(`/api/product/${product._id}/images/order`)
+            .set('Authorization', admin.auth)
+            .send({ order: [...ids].reverse() });
+        expect(reordered.status).toBe(200);
+        expect(reordered.body.product.images.map((image) => image._id)).toEqual([...ids].reverse());
+
+        const promoted = await request(context.app)
+            .put(`/api/product/${product._id}/images/${ids[2]}/primary`)
+            .set('Authorization', admin.auth);
+        expect(promoted.status).toBe(200);
+        expect(promoted.body.product.image).toBe(product.images[2].url);
+
+        const removed = await request(context.app)
+            .delete(`/api/product/${product._id}/images/${ids[1]}`)
+            .set('Authorization', admin.auth);
+        expect(removed.status).toBe(200);
+        expect(removed.body.product.images).toHaveLength(2);
+    });
+
+    it('unlinks variants from a removed image', async () => {
+        const admin = await createAdmin();
+        const product = await productWithImages(admin, 2);
+        const imageId = product.images[1]._id;
+        await Product.updateOne(
+            { _id: product._id },
+            { variants: [{ sku: 'LAMP-RED', quantity: 1, image_id: imageId }] }
+        );
+
+        const res = await request(context.app)
+            .delete(`/api/product/${product._id}/images/${imageId}`)
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.product.variants[0].image_id).toBeNull();
+    });
+
+    it('refuses to remove the last image', async () => {
+        const admin = await createAdmin();
+        const product = await productWithImages(admin, 1);
+
+        const res = await request(context.app)
+            .delete(`/api/product/${product._id}/images/${product.images[0]._id}`)
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(409);
+    });
+
+    it('regenerates variants from the stored originals', async () => {
+        const admin = await createAdmin();
+        const product = await productWithImages(admin, 1);
+
+        const res = await request(context.app)
+            .post('/api/admin/products/images/regenerate')
+            .set('Authorization', admin.auth)
+            .send({ productIds: [product._id] });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, processed: 1, failed: [] });
+        const updated = await Product.findById(product._id);
+        expect(updated.images[0].url).not.toBe(product.images[0].url);
+        expect(updated.images[0].original.url).toBe(product.images[0].original.url);
+    });
+
+    it('reports a failed product and removes the files rendered for it', async () => {
+        const admin = await createAdmin();
+        const product = await productWithImages(admin, 2);
+        context.storage.files.delete(context.storage.keyFromUrl(product.images[1].original.url));
+        const storedFiles = [...context.storage.files.keys()].sort();
+
+        const res = await request(context.app)
+            .post('/api/admin/products/images/regenerate')
+            .set('Authorization', admin.auth)
+            .send({ productIds: [product._id] });
+
+        expect(res.status).toBe(207);
+        expect(res.body).toMatchObject({ success: false, processed: 0 });
+        expect(res.body.failed).toHaveLength(1);
+        expect([...context.storage.files.keys()].sort()).toEqual(storedFiles);
+    });
+
+    it('requires the products to regenerate', async () => {
+        const admin = await createAdmin();
+
+        const res = await request(context.app)
+            .post('/api/admin/products/images/regenerate')
+            .set('Authorization', admin.auth)
+            .send({});
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.productIds).toBeDefined();
+    });
+});
+
+describe('DELETE /api/product/:id and restore', () => {
+    it('moves the product to the trash and back', async () => {
+        const admin = await createAdmin();
+        const customer = await createUser();
+        const product = await createProduct();
+        await Cart.create({ user_id: customer.user._id, items: [{ product_id: product._id, quantity: 1 }] });
+
+        const deleted = await request(context.app)
+            .delete(`/api/product/${product._id}`)
+            .set('Authorization', admin.auth);
+        expect(deleted.status).toBe(200);
+        expect((await request(context.app).get(`/api/product/${product._id}`)).status).toBe(404);
+        expect((await Cart.findOne({ user_id: customer.user._id })).items[0].product_deleted).toBe(true);
+
+        const restored = await request(context.app)
+            .post(`/api/product/${product._id}/restore`)
+            .set('Authorization', admin.auth);
+        expect(restored.status).toBe(200);
+        expect((await request(context.app).get(`/api/product/${product._id}`)).status).toBe(200);
+        expect((await Cart.findOne({ user_id: customer.user._id })).items[0].product_deleted).toBe(false);
+    });
+
+    it('keeps a history of the changes', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct();
+        await request(context.app).delete(`/api/product/${product._id}`).set('Authorization', admin.auth);
+        await request(context.app).post(`/api/product/${product._id}/restore`).set('Authorization', admin.auth);
+
+        const res = await request(context.app)
+            .get(`/api/product/${product._id}/history`)
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.entries.map((entry) => entry.action)).toEqual(['restore', 'delete']);
+    });
+});
+
+describe('bulk import and export', () => {
+    const csv = (rows) => Buffer.from(rows.map((row) => row.join(',')).join('\n'));
+
+    it('validates every row in a dry run without writing', async () => {
+        const admin = await createAdmin();
+        await createCategory({ name: 'Lamps' });
+
+        const res = await request(context.app)
+            .post('/api/products/import')
+            .query({ dryRun: 'true' })
+            .set('Authorization', admin.auth)
+            .attach('file', csv([
+                ['name', 'title', 'description', 'price', 'quantity', 'category', 'image_url'],
+                ['Desk lamp', 'Lamp', 'A lamp', '30', '4', 'Lamps', 'https://example.com/lamp.jpg'],
+                ['Broken', 'Broken', 'No category', 'abc', '1', 'Nowhere', 'https://example.com/x.jpg']
+            ]), { filename: 'products.csv', contentType: 'text/csv' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ dryRun: true, totalRows: 2, created: 1, failed: 1 });
+        expect(res.body.rows[1].errors).toHaveProperty('category');
+        expect(res.body.rows[1].errors).toHaveProperty('price');
+        expect(await Product.countDocuments()).toBe(0);
+    });
+
+    it('upserts existing products by name', async () => {
+        const admin = await createAdmin();
+        const category = await createCategory({ name: 'Lamps' });
+        const product = await createProduct({ name: 'Desk lamp', price: 30, category });
+
+        const res = await request(context.app)
+            .post('/api/products/import')
+            .query({ mode: 'upsert' })
+            .set('Authorization', admin.auth)
+            .attach('file', Buffer.from(JSON.stringify([
+                { name: 'Desk lamp', title: 'Lamp', description: 'Brighter', price: 35, quantity: 9, category: 'Lamps' }
+            ])), { filename: 'products.json', contentType: 'application/json' });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ updated: 1, failed: 0 });
+        const updated = await Product.findById(product._id);
+        expect(updated).toMatchObject({ price: 35, quantity: 9, description: 'Brighter' });
+    });
+
+    it('fails rows that are not objects', async () => {
+        const admin = await createAdmin();
+
+        const res = await request(context.app)
+            .post('/api/products/import')
+            .query({ dryRun: 'true' })
+            .set('Authorization', admin.auth)
+            .attach('file', Buffer.from(JSON.stringify([null, 1, 'x'])), {
+                filename: 'products.json', contentType: 'application/json'
+            });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ failed: 3, totalRows: 3 });
+        expect(res.body.rows[0].errors.row).toBeDefined();
+    });
+
+    it('refuses rows without a SKU for products with variants', async () => {
+        const admin = await createAdmin();
+        const category = await createCategory({ name: 'Shirts' });
+        const product = await createProduct({ name: 'Tee', category, variants: [{ sku: 'TEE-S', quantity: 2 }] });
+
+        const res = await request(context.app)
+            .post('/api/products/import')
+            .query({ mode: 'upsert' })
+            .set('Authorization', admin.auth)
+            .attach('file', Buffer.from(JSON.stringify([
+                { name: 'Tee', title: 'Tee', description: 'A tee', price: 20, quantity: 9, category: 'Shirts' }
+            ])), { filename: 'products.json', contentType: 'application/json' });
+
+        expect(res.body).toMatchObject({ updated: 0, failed: 1 });
+        expect(res.body.rows[0].errors.sku).toMatch(/add the SKU/);
+        expect((await Product.findById(product._id)).quantity).toBe(2);
+    });
+
+    it('exports one row per variant and imports the export again', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct({
+            name: 'Tee',
+            price: 20,
+            options: [{ name: 'Size', values: ['S', 'M'] }],
+            variants: [
+                { sku: 'TEE-S', options: { Size: 'S' }, quantity: 2, price: 15 },
+                { sku: 'TEE-M', options: { Size: 'M' }, quantity: 3 }
+            ]
+        });
+
+        const exported = await request(context.app)
+            .get('/api/products/export')
+            .set('Authorization', admin.auth);
+        const lines = exported.text.trim().split('\n');
+        expect(lines).toHaveLength(3);
+        expect(lines[1]).toContain(',TEE-S,');
+        expect(lines[2]).toContain(',TEE-M,');
+
+        const res = await request(context.app)
+            .post('/api/products/import')
+            .query({ mode: 'upsert' })
+            .set('Authorization', admin.auth)
+            .attach('file', Buffer.from(exported.text), { filename: 'products.csv', contentType: 'text/csv' });
+
+        expect(res.body).toMatchObject({ updated: 2, failed: 0 });
+        const reimported = await Product.findById(product._id);
+        expect(reimported.quantity).toBe(5);
+        expect(reimported.variants.map((variant) => [variant.sku, variant.quantity])).toEqual([['TEE-S', 2], ['TEE-M', 3]]);
+    });
+
+    it('exports the filtered catalogue as CSV', async () => {
+        const admin = await createAdmin();
+        await createProduct({ name: 'Desk lamp', price: 30 });
+        await createProduct({ name: 'Sofa', price: 900 });
+
+        const res = await request(context.app)
+            .get('/api/products/export')
+            .query({ maxPrice: 100 })
+            .set('Authorization', admin.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/csv/);
+        const lines = res.text.trim().split('\n');
+        expect(lines[0]).toMatch(/^id,name,title/);
+        expect(lines).toHaveLength(2);
+        expect(lines[1]).toContain('Desk lamp');
+    });
+});
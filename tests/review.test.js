@@ -0,0 +1,193 @@
+const request = require('supertest');
+const AuditLog = require('../models/auditLog');
+const Order = require('../models/order');
+const Product = require('../models/product');
+const Review = require('../models/review');
+const { setupIntegration } = require('./helpers/app');
+const { createUser, createAdmin, createProduct } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+function review(customer, product, fields) {
+    return request(context.app)
+        .post(`/api/product/${product._id}/reviews`)
+        .set('Authorization', customer.auth)
+        .send(fields);
+}
+
+describe('POST /api/product/:id/reviews', () => {
+    it('adds a review and updates the product rating', async () => {
+        const product = await createProduct();
+        const first = await createUser();
+        const second = await createUser();
+
+        const res = await review(first, product, { rating: 5, title: 'Great', body: 'Bright and sturdy' });
+        await review(second, product, { rating: 2 });
+
+        expect(res.status).toBe(201);
+        expect(res.body.review).toMatchObject({ rating: 5, title: 'Great', verified_purchase: false, status: 'approved' });
+
+        const stored = await Product.findById(product._id);
+        expect(stored.average_rating).toBe(3.5);
+        expect(stored.review_count).toBe(2);
+    });
+
+    it('marks reviews of purchased products as verified', async () => {
+        const product = await createProduct();
+        const customer = await createUser();
+        await Order.create({
+            user_id: customer.user._id,
+            items: [{ product_id: product._id, name: product.name, price: 10, quantity: 1, line_total: 10 }],
+            total: 10,
+            status: 'delivered'
+        });
+
+        const res = await review(customer, product, { rating: 4 });
+
+        expect(res.body.review.verified_purchase).toBe(true);
+    });
+
+    it('allows one review per user and product', async () => {
+        const product = await createProduct();
+        const customer = await createUser();
+        const first = await review(customer, product, { rating: 4 });
+
+        const res = await review(customer, product, { rating: 1 });
+
+        expect(res.status).toBe(409);
+        expect(res.body.reviewId).toBe(first.body.review._id);
+    });
+
+    it('validates the rating', async () => {
+        const product = await createProduct();
+        const customer = await createUser();
+
+        const res = await review(customer, product, { rating: 6 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.rating).toBeDefined();
+    });
+
+    it('requires a login', async () => {
+        const product = await createProduct();
+
+        const res = await request(context.app).post(`/api/product/${product._id}/reviews`).send({ rating: 5 });
+
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('GET /api/product/:id/reviews', () => {
+    it('lists approved reviews with the rating summary', async () => {
+        const product = await createProduct();
+        const author = await createUser();
+        const hidden = await createUser();
+        await review(author, product, { rating: 4, title: 'Nice' });
+        await Review.create({ product_id: product._id, user_id: hidden.user._id, rating: 1, status: 'hidden' });
+
+        const res = await request(context.app).get(`/api/product/${product._id}/reviews`);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ totalReviews: 1, averageRating: 4, reviewCount: 1 });
+        expect(res.body.ratingCounts).toEqual({ 1: 0, 2: 0, 3: 0, 4: 1, 5: 0 });
+        expect(res.body.reviews[0].moderation_note).toBeUndefined();
+    });
+
+    it('returns 404 for an unknown product', async () => {
+        const res = await request(context.app).get('/api/product/64b7f0c2a1b2c3d4e5f60718/reviews');
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('PUT and DELETE /api/reviews/:id', () => {
+    it('lets the author edit and delete their review', async () => {
+        const product = await createProduct();
+        const customer = await createUser();
+        const created = await review(customer, product, { rating: 2 });
+        const reviewId = created.body.review._id;
+
+        const updated = await request(context.app)
+            .put(`/api/reviews/${reviewId}`)
+            .set('Authorization', customer.auth)
+            .send({ rating: 4 });
+        expect(updated.status).toBe(200);
+        expect((await Product.findById(product._id)).average_rating).toBe(4);
+
+        const deleted = await request(context.app)
+            .delete(`/api/reviews/${reviewId}`)
+            .set('Authorization', customer.auth);
+        expect(deleted.status).toBe(200);
+        const stored = await Product.findById(product._id);
+        expect(stored.average_rating).toBeNull();
+        expect(stored.review_count).toBe(0);
+    });
+
+    it("hides other users' reviews", async () => {
+        const product = await createProduct();
+        const author = await createUser();
+        const other = await createUser();
+        const created = await review(author, product, { rating: 2 });
+
+        const res = await request(context.app)
+            .put(`/api/reviews/${created.body.review._id}`)
+            .set('Authorization', other.auth)
+            .send({ rating: 5 });
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('PATCH /api/admin/reviews/:id/status', () => {
+    it('hides a review and leaves it out of the rating', async () => {
+        const admin = await createAdmin();
+        const product = await createProduct();
+        const customer = await createUser();
+        const created = await review(customer, product, { rating: 1 });
+
+        const res = await request(context.app)
+            .patch(`/api/admin/reviews/${created.body.review._id}/status`)
+            .set('Authorization', admin.auth)
+            .send({ status: 'hidden', note: 'Spam' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.review).toMatchObject({ status: 'hidden', moderation_note: 'Spam' });
+        expect((await Product.findById(product._id)).review_count).toBe(0);
+        const audit = await AuditLog.findOne({ entity: 'review', entity_id: created.body.review._id });
+        expect(audit.changes).toContainEqual(expect.objectContaining({ field: 'status', before: 'approved', after: 'hidden' }));
+
+        const list = await request(context.app)
+            .get('/api/admin/reviews')
+            .query({ status: 'hidden' })
+            .set('Authorization', admin.auth);
+        expect(list.body.totalReviews).toBe(1);
+    });
+
+    it('is limited to admins', async () => {
+        const customer = await createUser();
+
+        const res = await request(context.app)
+            .patch('/api/admin/reviews/64b7f0c2a1b2c3d4e5f60718/status')
+            .set('Authorization', customer.auth)
+            .send({ status: 'hidden' });
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('GET /api/products?sortField=rating', () => {
+    it('sorts products by average rating', async () => {
+        const low = await createProduct({ average_rating: 2, review_count: 1 });
+        const high = await createProduct({ average_rating: 4.5, review_count: 2 });
+        const unrated = await createProduct();
+
+        const res = await request(context.app)
+            .get('/api/products')
+            .query({ sortField: 'rating', sortOrder: 'desc' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.products.map((product) => product._id))
+            .toEqual([high, low, unrated].map((product) => String(product._id)));
+        expect(res.body.products[0]).toMatchObject({ average_rating: 4.5, review_count: 2 });
+    });
+});
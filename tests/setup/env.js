@@ -0,0 +1,3 @@
+// Loaded by Jest before each test file, ahead of any app module
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.STORAGE_DRIVER = 'local';
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { setupIntegration } = require('./helpers/app');
+const RecentlyViewed = require('../models/recentlyViewed');
+const { createUser, createProduct } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+describe('GET /api/me', () => {
+    it('returns the logged-in user', async () => {
+        const { user, auth } = await createUser();
+
+        const res = await request(context.app).get('/api/me').set('Authorization', auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.user).toMatchObject({ email: user.email, role: 'customer' });
+    });
+
+    it('requires a token', async () => {
+        const res = await request(context.app).get('/api/me');
+
+        expect(res.status).toBe(401);
+        expect(res.body).toMatchObject({ success: false, code: 'UNAUTHENTICATED' });
+    });
+
+    it('rejects a malformed token', async () => {
+        const res = await request(context.app).get('/api/me').set('Authorization', 'Bearer nonsense');
+
+        expect(res.status).toBe(401);
+    });
+
+    it('echoes a request id sent by the client', async () => {
+        const res = await request(context.app).get('/api/me').set('X-Request-Id', 'trace-123');
+
+        expect(res.headers['x-request-id']).toBe('trace-123');
+        expect(res.body.requestId).toBe('trace-123');
+    });
+});
+
+describe('PUT /api/me/password', () => {
+    it('changes the password and revokes existing refresh tokens', async () => {
+        const { user, auth, refreshToken, password } = await createUser();
+
+        const res = await request(context.app)
+            .put('/api/me/password')
+            .set('Authorization', auth)
+            .send({ currentPassword: password, newPassword: 'new-password-456' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.token).toEqual(expect.any(String));
+
+        const refresh = await request(context.app).post('/api/token/refresh').send({ refreshToken });
+        expect(refresh.status).toBe(401);
+
+        const login = await request(context.app)
+            .post('/api/login')
+            .send({ email: user.email, password: 'new-password-456' });
+        expect(login.status).toBe(200);
+    });
+
+    it('requires the current password', async () => {
+        const { auth } = await createUser();
+
+        const res = await request(context.app)
+            .put('/api/me/password')
+            .set('Authorization', auth)
+            .send({ currentPassword: 'wrong-password', newPassword: 'new-password-456' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.currentPassword).toBeDefined();
+    });
+});
+
+describe('unknown routes', () => {
+    it('answer with the error envelope', async () => {
+        const res = await request(context.app).get('/api/does-not-exist');
+
+        expect(res.status).toBe(404);
+        expect(res.body).toMatchObject({ success: false, code: 'ROUTE_NOT_FOUND', errors: null });
+    });
+});
+
+describe('GET /api/me/recently-viewed', () => {
+    it('lists viewed products newest first without duplicates', async () => {
+        const customer = await createUser();
+        const lamp = await createProduct();
+        const chair = await createProduct();
+
+        for (const product of [lamp, chair, lamp]) {
+            await request(context.app).get(`/api/product/${product._id}`).set('Authorization', customer.auth);
+        }
+
+        const res = await request(context.app).get('/api/me/recently-viewed').set('Authorization', customer.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.items.map((item) => item.product_id)).toEqual([String(lamp._id), String(chair._id)]);
+    });
+
+    it('keeps only the most recent views', async () => {
+        const customer = await createUser();
+        const products = [];
+        for (let i = 0; i <= RecentlyViewed.MAX_ITEMS; i++) {
+            products.push(await createProduct());
+        }
+
+        for (const product of products) {
+            await request(context.app).get(`/api/product/${product._id}`).set('Authorization', customer.auth);
+        }
+
+        const history = await RecentlyViewed.findOne({ user_id: customer.user._id });
+        expect(history.items).toHaveLength(RecentlyViewed.MAX_ITEMS);
+        expect(String(history.items[0].product_id)).toBe(String(products[products.length - 1]._id));
+    });
+
+    it('does not record anonymous views or fail on a stale token', async () => {
+        const product = await createProduct();
+
+        const anonymous = await request(context.app).get(`/api/product/${product._id}`);
+        const stale = await request(context.app)
+            .get(`/api/product/${product._id}`)
+            .set('Authorization', 'Bearer not-a-token');
+
+        expect(anonymous.status).toBe(200);
+        expect(stale.status).toBe(200);
+        expect(await RecentlyViewed.countDocuments()).toBe(0);
+    });
+});
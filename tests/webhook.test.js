@@ -0,0 +1,256 @@
+const http = require('http');
+const request = require('supertest');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const AuditLog = require('../models/auditLog');
+const webhookConfig = require('../config/webhooks');
+const { processWebhookQueue, retryDelay } = require('../jobs/deliverWebhooks');
+const { signPayload } = require('../utils/webhooks');
+const { setupIntegration } = require('./helpers/app');
+const { createUser, createAdmin, createProduct } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+// Local endpoint that records what it receives and answers with `status`
+const receiver = { requests: [], status: 200 };
+let server;
+let receiverUrl;
+
+beforeAll((done) => {
+    // The receiver listens on loopback, which is refused by default
+    webhookConfig.allowPrivateUrls = true;
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.writeHead(receiver.status).end('ok');
+        });
+    });
+    server.listen(0, '127.0.0.1', () => {
+        receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+        done();
+    });
+});
+
+afterEach(() => {
+    receiver.requests = [];
+    receiver.status = 200;
+    webhookConfig.allowPrivateUrls = true;
+});
+
+afterAll((done) => {
+    server.close(done);
+});
+
+async function subscribe(admin, events) {
+    const res = await request(context.app)
+        .post('/api/admin/webhooks')
+        .set('Authorization', admin.auth)
+        .send({ url: receiverUrl, events });
+    return res.body.webhook;
+}
+
+describe('managing webhooks', () => {
+    it('creates a webhook and only shows the secret once', async () => {
+        const admin = await createAdmin();
+
+        const created = await request(context.app)
+            .post('/api/admin/webhooks')
+            .set('Authorization', admin.auth)
+            .send({ url: receiverUrl, events: ['product.created'], description: 'Search indexer' });
+        expect(created.status).toBe(201);
+        expect(created.body.webhook.secret).toMatch(/^whsec_/);
+
+        const list = await request(context.app).get('/api/admin/webhooks').set('Authorization', admin.auth);
+        expect(list.body.webhooks).toHaveLength(1);
+        expect(list.body.webhooks[0].secret).toBeUndefined();
+
+        const audit = await AuditLog.findOne({ entity: 'webhook', entity_id: created.body.webhook._id });
+        expect(audit.action).toBe('create');
+        expect(audit.changes.map((change) => change.field)).not.toContain('secret');
+    });
+
+    it('validates the URL and events', async () => {
+        const admin = await createAdmin();
+
+        const res = await request(context.app)
+            .post('/api/admin/webhooks')
+            .set('Authorization', admin.auth)
+            .send({ url: 'ftp://example.com', events: ['order.exploded'] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.url).toBeDefined();
+        expect(res.body.errors['events[0]']).toBeDefined();
+    });
+
+    it('refuses private addresses', async () => {
+        const admin = await createAdmin();
+        webhookConfig.allowPrivateUrls = false;
+
+        const res = await request(context.app)
+            .post('/api/admin/webhooks')
+            .set('Authorization', admin.auth)
+            .send({ url: 'http://169.254.169.254/latest', events: ['product.created'] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.url).toBe('URL must resolve to a public address');
+    });
+
+    it('is admin-only', async () => {
+        const customer = await createUser();
+
+        const res = await request(context.app).get('/api/admin/webhooks').set('Authorization', customer.auth);
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('product events', () => {
+    it('queues events from the product routes for subscribed webhooks', async () => {
+        const admin = await createAdmin();
+        await subscribe(admin, ['product.updated', 'product.deleted']);
+        const product = await createProduct({ quantity: 3 });
+
+        await request(context.app)
+            .put(`/api/product/${product._id}`)
+            .set('Authorization', admin.auth)
+            .field('name', 'Renamed lamp');
+        await request(context.app).delete(`/api/product/${product._id}`).set('Authorization', admin.auth);
+
+        const deliveries = await WebhookDelivery.find().sort({ createdAt: 1 });
+        expect(deliveries.map((delivery) => delivery.event)).toEqual(['product.updated', 'product.deleted']);
+        expect(deliveries[0].payload.data.product).toMatchObject({ _id: String(product._id), name: 'Renamed lamp' });
+        expect(deliveries.every((delivery) => delivery.status === 'pending')).toBe(true);
+        // Nothing is sent from the request itself
+        expect(receiver.requests).toHaveLength(0);
+    });
+
+    it('queues stock changes', async () => {
+        const admin = await createAdmin();
+        await subscribe(admin, ['product.stock_changed']);
+        const product = await createProduct({ quantity: 5 });
+
+        await request(context.app)
+            .post(`/api/inventory/${product._id}/receive`)
+            .set('Authorization', admin.auth)
+            .send({ quantity: 4 });
+
+        const delivery = await WebhookDelivery.findOne({ event: 'product.stock_changed' });
+        expect(delivery.payload.data).toMatchObject({
+            product_id: String(product._id),
+            quantity: 9,
+            movements: [{ type: 'receipt', delta: 4 }]
+        });
+    });
+});
+
+describe('delivering webhooks', () => {
+    it('sends signed requests and marks them delivered', async () => {
+        const admin = await createAdmin();
+        const webhook = await subscribe(admin, ['product.restored']);
+        const product = await createProduct();
+        await product.softDelete(admin.user._id);
+
+        await request(context.app).post(`/api/product/${product._id}/restore`).set('Authorization', admin.auth);
+        expect(await processWebhookQueue()).toBe(1);
+
+        expect(receiver.requests).toHaveLength(1);
+        const { headers, body } = receiver.requests[0];
+        const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+        expect(signature).toBe(signPayload(webhook.secret, timestamp, body));
+        expect(headers['x-webhook-event']).toBe('product.restored');
+        expect(JSON.parse(body).data.product._id).toBe(String(product._id));
+
+        const delivery = await WebhookDelivery.findOne();
+        expect(delivery.status).toBe('succeeded');
+        expect(delivery.attempts[0].status_code).toBe(200);
+    });
+
+    it('retries failures with backoff and gives up after the last attempt', async () => {
+        const admin = await createAdmin();
+        const webhook = await subscribe(admin, ['product.updated']);
+        const delivery = await WebhookDelivery.create({
+            webhook_id: webhook._id,
+            event: 'product.updated',
+            payload: { id: 'evt', event: 'product.updated', data: {} }
+        });
+        receiver.status = 500;
+
+        const before = Date.now();
+        await processWebhookQueue();
+        let stored = await WebhookDelivery.findById(delivery._id);
+        expect(stored).toMatchObject({ status: 'pending', attempt_count: 1 });
+        expect(stored.next_attempt_at.getTime()).toBeGreaterThanOrEqual(before + retryDelay(1));
+        expect(retryDelay(2)).toBe(retryDelay(1) * 2);
+
+        // Not due yet
+        expect(await processWebhookQueue()).toBe(0);
+
+        await WebhookDelivery.updateOne(
+            { _id: delivery._id },
+            { $set: { attempt_count: webhookConfig.maxAttempts - 1, next_attempt_at: new Date() } }
+        );
+        await processWebhookQueue();
+        stored = await WebhookDelivery.findById(delivery._id);
+        expect(stored.status).toBe('failed');
+        expect(stored.attempts.map((attempt) => attempt.status_code)).toEqual([500, 500]);
+    });
+
+    it('lists the delivery log and redelivers on request', async () => {
+        const admin = await createAdmin();
+        const webhook = await subscribe(admin, ['product.updated']);
+        const original = await WebhookDelivery.create({
+            webhook_id: webhook._id,
+            event: 'product.updated',
+            payload: { id: 'evt', event: 'product.updated', data: {} },
+            status: 'failed'
+        });
+
+        const redelivered = await request(context.app)
+            .post(`/api/admin/webhooks/${webhook._id}/deliveries/${original._id}/redeliver`)
+            .set('Authorization', admin.auth);
+        expect(redelivered.status).toBe(202);
+        expect(redelivered.body.delivery).toMatchObject({ status: 'pending', redelivery_of: String(original._id) });
+
+        await processWebhookQueue();
+        expect(JSON.parse(receiver.requests[0].body).id).toBe('evt');
+
+        const log = await request(context.app)
+            .get(`/api/admin/webhooks/${webhook._id}/deliveries`)
+            .set('Authorization', admin.auth);
+        expect(log.body.totalDeliveries).toBe(2);
+        expect(log.body.deliveries.map((delivery) => delivery.status)).toEqual(['succeeded', 'failed']);
+
+        const failed = await request(context.app)
+            .get(`/api/admin/webhooks/${webhook._id}/deliveries`)
+            .query({ status: 'failed' })
+            .set('Authorization', admin.auth);
+        expect(failed.body.deliveries).toHaveLength(1);
+    });
+
+    it('stops delivering to a disabled webhook', async () => {
+        const admin = await createAdmin();
+        const webhook = await subscribe(admin, ['product.updated']);
+        await Webhook.updateOne({ _id: webhook._id }, { active: false });
+        await WebhookDelivery.create({ webhook_id: webhook._id, event: 'product.updated', payload: { data: {} } });
+
+        await processWebhookQueue();
+
+        expect(receiver.requests).toHaveLength(0);
+        expect((await WebhookDelivery.findOne()).status).toBe('failed');
+    });
+
+    it('does not connect to a private address', async () => {
+        const admin = await createAdmin();
+        const webhook = await subscribe(admin, ['product.updated']);
+        await WebhookDelivery.create({ webhook_id: webhook._id, event: 'product.updated', payload: { data: {} } });
+        webhookConfig.allowPrivateUrls = false;
+
+        await processWebhookQueue();
+
+        expect(receiver.requests).toHaveLength(0);
+        const delivery = await WebhookDelivery.findOne();
+        expect(delivery.attempts[0].error).toMatch(/not a public address/);
+    });
+});
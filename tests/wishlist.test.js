@@ -0,0 +1,78 @@
+const request = require('supertest');
+const Product = require('../models/product');
+const { setupIntegration } = require('./helpers/app');
+const { createUser, createProduct } = require('./helpers/fixtures');
+
+const context = setupIntegration();
+
+function addToWishlist(customer, product) {
+    return request(context.app)
+        .post('/api/wishlist/items')
+        .set('Authorization', customer.auth)
+        .send({ product_id: String(product._id) });
+}
+
+describe('wishlist', () => {
+    it('adds products with their current price and stock', async () => {
+        const customer = await createUser();
+        const product = await createProduct({ price: 20, quantity: 0 });
+
+        const res = await addToWishlist(customer, product);
+
+        expect(res.status).toBe(201);
+        expect(res.body.wishlist.items).toEqual([expect.objectContaining({
+            product_id: String(product._id),
+            price_when_added: 20,
+            current_price: 20,
+            price_dropped: false,
+            status: 'out_of_stock'
+        })]);
+    });
+
+    it('does not add a product twice', async () => {
+        const customer = await createUser();
+        const product = await createProduct();
+        await addToWishlist(customer, product);
+
+        const res = await addToWishlist(customer, product);
+
+        expect(res.status).toBe(200);
+        expect(res.body.wishlist.itemCount).toBe(1);
+    });
+
+    it('marks products whose price dropped', async () => {
+        const customer = await createUser();
+        const product = await createProduct({ price: 50 });
+        await addToWishlist(customer, product);
+
+        await Product.updateOne({ _id: product._id }, { $set: { sale_price: 35 } });
+
+        const res = await request(context.app).get('/api/wishlist').set('Authorization', customer.auth);
+
+        expect(res.body.wishlist.priceDrops).toBe(1);
+        expect(res.body.wishlist.items[0]).toMatchObject({ current_price: 35, price_dropped: true, price_drop: 15 });
+    });
+
+    it('removes products', async () => {
+        const customer = await createUser();
+        const product = await createProduct();
+        await addToWishlist(customer, product);
+
+        const res = await request(context.app)
+            .delete(`/api/wishlist/items/${product._id}`)
+            .set('Authorization', customer.auth);
+        expect(res.status).toBe(200);
+        expect(res.body.wishlist.items).toEqual([]);
+
+        const again = await request(context.app)
+            .delete(`/api/wishlist/items/${product._id}`)
+            .set('Authorization', customer.auth);
+        expect(again.status).toBe(404);
+    });
+
+    it('requires a login', async () => {
+        const res = await request(context.app).get('/api/wishlist');
+
+        expect(res.status).toBe(401);
+    });
+});
@@ -0,0 +1,7 @@
+// Express 4 ignores rejected promises, so async route handlers are wrapped
+// to pass their errors on to the error handler
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
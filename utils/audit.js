@@ -0,0 +1,62 @@
+const AuditLog = require('../models/auditLog');
+
+// Bookkeeping fields that change on every save and say nothing about the edit
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Plain JSON copy of a document, taken before it is modified so the audit
+// entry can show what the fields used to be
+function auditSnapshot(doc) {
+    if (!doc) return null;
+    return JSON.parse(JSON.stringify(doc.toJSON ? doc.toJSON({ depopulate: true }) : doc));
+}
+
+// Field-level differences between two snapshots. Nested values (images,
+// variants, ...) are compared as a whole and recorded in full.
+function diffSnapshots(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+    fields.forEach((field) => {
+        if (IGNORED_FIELDS.includes(field)) return;
+        const previous = before && before[field] !== undefined ? before[field] : null;
+        const next = after && after[field] !== undefined ? after[field] : null;
+        if (JSON.stringify(previous) !== JSON.stringify(next)) {
+            changes.push({ field, before: previous, after: next });
+        }
+    });
+    return changes;
+}
+
+// Stores audit entries for the authenticated user of `req`. Each entry is
+// { entity, action, before, after } (documents or snapshots) or carries
+// entityId and changes directly. Entries without changes are skipped.
+// Failures are logged rather than thrown: the change itself already happened.
+async function recordAudit(req, entries) {
+    try {
+        const documents = (Array.isArray(entries) ? entries : [entries])
+            .map((entry) => {
+                const before = auditSnapshot(entry.before);
+                const after = auditSnapshot(entry.after);
+                return {
+                    entity: entry.entity,
+                    entity_id: entry.entityId || (after || before)._id,
+                    action: entry.action,
+                    user_id: req.user.userId,
+                    route: `${req.method} ${req.originalUrl}`,
+                    changes: entry.changes || diffSnapshots(before, after)
+                };
+            })
+            .filter((document) => document.changes.length);
+
+        if (documents.length) {
+            await AuditLog.insertMany(documents);
+        }
+    } catch (error) {
+        console.error('Error recording audit entry:', error);
+    }
+}
+
+module.exports = {
+    auditSnapshot,
+    diffSnapshots,
+    recordAudit
+};
@@ -0,0 +1,42 @@
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refreshToken');
+const User = require('../models/user');
+const authConfig = require('../config/auth');
+const { AuthenticationError } = require('./errors');
+
+// Signs a short-lived access token and stores a new refresh token.
+// Pass the family of the token being rotated to keep the session chain intact.
+async function issueAuthTokens(user, family) {
+    const token = jwt.sign(
+        { userId: user._id, role: user.role },
+        authConfig.jwtSecret,
+        { expiresIn: authConfig.accessTokenTtl }
+    );
+    const refreshToken = await RefreshToken.issue(user._id, authConfig.refreshTokenTtlDays, family);
+    return { token, refreshToken };
+}
+
+// Checks an access token and resolves to the value for req.user. Throws an
+// AuthenticationError for bad or expired tokens and for tokens issued before
+// the user's last password change.
+async function verifyAccessToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, authConfig.jwtSecret);
+    } catch (err) {
+        throw new AuthenticationError('Invalid token');
+    }
+
+    const user = await User.findById(decoded.userId).select('role password_changed_at');
+    if (!user || user.changedPasswordAfter(decoded.iat)) {
+        throw new AuthenticationError('Token is no longer valid, please log in again');
+    }
+
+    // Take the role from the database so promotions apply without a new login
+    return { ...decoded, role: user.role };
+}
+
+module.exports = {
+    issueAuthTokens,
+    verifyAccessToken
+};
@@ -0,0 +1,86 @@
+// Errors thrown from route handlers. The error handler turns them into the
+// usual { success: false, message, errors, code } response; `details` are
+// extra top-level fields for the client (e.g. the quantity still available).
+// `retryAfter` (seconds) is sent as the Retry-After header.
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', errors = null, details = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.errors = errors;
+        this.details = details;
+        this.retryAfter = retryAfter;
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message, errors = null, details = null) {
+        super(message, { status: 400, code: 'BAD_REQUEST', errors, details });
+    }
+}
+
+class ValidationError extends AppError {
+    constructor(errors, message = 'Validation failed') {
+        super(message, { status: 400, code: 'VALIDATION_FAILED', errors });
+    }
+}
+
+class AuthenticationError extends AppError {
+    constructor(message = 'Authentication required', errors = null) {
+        super(message, { status: 401, code: 'UNAUTHENTICATED', errors });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'You do not have permission to perform this action') {
+        super(message, { status: 403, code: 'FORBIDDEN' });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Not found', errors = null) {
+        super(message, { status: 404, code: 'NOT_FOUND', errors });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, errors = null, details = null) {
+        super(message, { status: 409, code: 'CONFLICT', errors, details });
+    }
+}
+
+class AccountLockedError extends AppError {
+    constructor(message, retryAfter) {
+        super(message, { status: 423, code: 'ACCOUNT_LOCKED', details: { retryAfter }, retryAfter });
+    }
+}
+
+class TooManyRequestsError extends AppError {
+    constructor(message, retryAfter) {
+        super(message, { status: 429, code: 'RATE_LIMITED', details: { retryAfter }, retryAfter });
+    }
+}
+
+// express-validator results as { field: first message for that field }
+function fieldErrors(validationErrors) {
+    return validationErrors.reduce((acc, error) => {
+        if (!acc[error.path]) {
+            acc[error.path] = error.msg;
+        }
+        return acc;
+    }, {});
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    AccountLockedError,
+    TooManyRequestsError,
+    fieldErrors
+};
@@ -0,0 +1,48 @@
+const StockMovement = require('../models/stockMovement');
+const inventoryConfig = require('../config/inventory');
+
+// Aggregation expression that is true for a low-stock product: at or below
+// its own threshold, or the default one. Out-of-stock products count too.
+// The low-stock report and the dashboard count both use it.
+function isLowStockExpression() {
+    return { $lte: ['$quantity', { $ifNull: ['$low_stock_threshold', inventoryConfig.defaultLowStockThreshold] }] };
+}
+
+// Product and variant quantities taken before an edit; pass null for a new product
+function stockSnapshot(product) {
+    return {
+        quantity: product ? product.quantity || 0 : 0,
+        variants: new Map((product ? product.variants : []).map((variant) => [variant.sku, variant.quantity]))
+    };
+}
+
+// Records what an edit saved through the document did to the stock: one
+// movement per changed variant, plus one without a SKU for any remaining
+// difference in the product's quantity, so the deltas still add up.
+// `movement` holds the shared fields (type, user_id, reason, reference).
+function recordStockChanges(before, product, movement) {
+    const after = stockSnapshot(product);
+    const movements = [];
+    let variantDelta = 0;
+
+    new Set([...before.variants.keys(), ...after.variants.keys()]).forEach((sku) => {
+        const delta = (after.variants.get(sku) || 0) - (before.variants.get(sku) || 0);
+        variantDelta += delta;
+        movements.push({ ...movement, product_id: product._id, sku, delta, quantity_after: after.quantity });
+    });
+
+    movements.push({
+        ...movement,
+        product_id: product._id,
+        delta: after.quantity - before.quantity - variantDelta,
+        quantity_after: after.quantity
+    });
+
+    return StockMovement.record(movements);
+}
+
+module.exports = {
+    isLowStockExpression,
+    stockSnapshot,
+    recordStockChanges
+};
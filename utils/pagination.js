@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Hard upper bound for perPage in every listing
+const MAX_PER_PAGE = 100;
+const DEFAULT_PER_PAGE = 10;
+
+const parsePerPage = (value) => Math.min(Math.max(parseInt(value) || DEFAULT_PER_PAGE, 1), MAX_PER_PAGE);
+
+// Cursors are opaque to clients: base64url JSON holding the sort the cursor
+// belongs to and the sort value and _id of the row to continue from.
+// Dates are tagged so they decode back to Date instead of a string.
+function encodeCursor({ field, order, direction, value, id }) {
+    const encodedValue = value instanceof Date ? { date: value.toISOString() } : value;
+    return Buffer.from(JSON.stringify({ f: field, o: order, d: direction, v: encodedValue, id: String(id) }))
+        .toString('base64url');
+}
+
+// Returns null for anything that isn't a cursor we issued
+function decodeCursor(cursor) {
+    try {
+        const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!data || typeof data.f !== 'string' || ![1, -1].includes(data.o)
+            || !['next', 'prev'].includes(data.d) || !mongoose.isValidObjectId(data.id)) {
+            return null;
+        }
+        const value = data.v && typeof data.v === 'object' && data.v.date ? new Date(data.v.date) : data.v;
+        return {
+            field: data.f,
+            order: data.o,
+            direction: data.d,
+            value: value === undefined ? null : value,
+            id: new mongoose.Types.ObjectId(data.id)
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Filter for rows that come after (value, id) when walking in `dir`
+// (1 = ascending, -1 = descending). MongoDB sorts missing/null values first,
+// which the null branches account for so older documents aren't skipped.
+function keysetFilter(field, dir, value, id) {
+    const after = dir === 1 ? '$gt' : '$lt';
+    if (value === null) {
+        return dir === 1
+            ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+            : { [field]: null, _id: { $lt: id } };
+    }
+    const branches = [
+        { [field]: { [after]: value } },
+        { [field]: value, _id: { [after]: id } }
+    ];
+    if (dir === -1) branches.push({ [field]: null });
+    return { $or: branches };
+}
+
+// Works out the filter and sort for one cursor page.
+// `cursor` is the decoded cursor or null for the first page.
+function cursorQuery({ field, order, cursor }) {
+    const direction = cursor ? cursor.direction : 'next';
+    // Walking backwards means reading in the opposite order, then flipping the rows
+    const dir = direction === 'prev' ? -order : order;
+    return {
+        direction,
+        filter: cursor ? keysetFilter(field, dir, cursor.value, cursor.id) : {},
+        sort: { [field]: dir, _id: dir }
+    };
+}
+
+// Trims the extra row fetched to detect more pages, restores display order
+// and builds the cursors. `rows` must come from a query limited to limit + 1.
+function buildCursorPage(rows, { field, order, limit, cursor, getValue }) {
+    const direction = cursor ? cursor.direction : 'next';
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (direction === 'prev') page.reverse();
+
+    const makeCursor = (row, pageDirection) => encodeCursor({
+        field,
+        order,
+        direction: pageDirection,
+        value: getValue(row),
+        id: row._id
+    });
+
+    const first = page[0];
+    const last = page[page.length - 1];
+    const hasNext = direction === 'next' ? hasMore : Boolean(cursor);
+    const hasPrev = direction === 'prev' ? hasMore : Boolean(cursor);
+
+    return {
+        rows: page,
+        nextCursor: last && hasNext ? makeCursor(last, 'next') : null,
+        prevCursor: first && hasPrev ? makeCursor(first, 'prev') : null
+    };
+}
+
+module.exports = {
+    MAX_PER_PAGE,
+    parsePerPage,
+    encodeCursor,
+    decodeCursor,
+    cursorQuery,
+    buildCursorPage
+};
@@ -0,0 +1,181 @@
+const Category = require('../models/category');
+const Coupon = require('../models/coupon');
+const CouponRedemption = require('../models/couponRedemption');
+const Product = require('../models/product');
+
+const COUPON_MESSAGES = {
+    COUPON_NOT_FOUND: 'Coupon code not found',
+    COUPON_INACTIVE: 'Coupon is no longer active',
+    COUPON_NOT_STARTED: 'Coupon is not valid yet',
+    COUPON_EXPIRED: 'Coupon has expired',
+    COUPON_USAGE_LIMIT: 'Coupon has been fully redeemed',
+    COUPON_USER_LIMIT: 'You have already used this coupon as often as allowed',
+    COUPON_MIN_ORDER: 'Basket is below the minimum order value for this coupon',
+    COUPON_NOT_APPLICABLE: 'Coupon does not apply to any product in the basket'
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const couponRejection = (code, reason) => ({ type: 'coupon', code, reason, message: COUPON_MESSAGES[reason] });
+
+// Lines of the basket the coupon's product and category limits allow
+async function eligibleLines(coupon, lines) {
+    if (!coupon.product_ids.length && !coupon.category_ids.length) return lines;
+
+    const productIds = new Set(coupon.product_ids.map(String));
+    const categoryIds = new Set(coupon.category_ids.map(String));
+    for (const categoryId of coupon.category_ids) {
+        const descendants = await Category.getDescendantIds(categoryId);
+        descendants.forEach((id) => categoryIds.add(String(id)));
+    }
+    return lines.filter((line) => productIds.has(String(line.product_id)) || categoryIds.has(String(line.category_id)));
+}
+
+// Why the coupon can't be used right now, or null when it can
+async function checkCoupon(coupon, { userId, subtotal, now }) {
+    if (!coupon.active) return 'COUPON_INACTIVE';
+    if (coupon.starts_at && coupon.starts_at > now) return 'COUPON_NOT_STARTED';
+    if (coupon.ends_at && coupon.ends_at <= now) return 'COUPON_EXPIRED';
+    if (coupon.usage_limit !== null && coupon.times_used >= coupon.usage_limit) return 'COUPON_USAGE_LIMIT';
+    if (coupon.usage_limit_per_user !== null && userId) {
+        const redemption = await CouponRedemption.findOne({ coupon_id: coupon._id, user_id: userId });
+        if (redemption && redemption.count >= coupon.usage_limit_per_user) return 'COUPON_USER_LIMIT';
+    }
+    if (subtotal < coupon.min_order_value) return 'COUPON_MIN_ORDER';
+    return null;
+}
+
+// Splits a discount over lines in proportion to their subtotals, in whole
+// cents; the last line takes whatever rounding leaves over
+function allocateDiscount(amount, lines) {
+    const base = lines.reduce((sum, line) => sum + line.subtotal, 0);
+    let left = amount;
+    lines.forEach((line, index) => {
+        const share = index === lines.length - 1 ? left : roundMoney(amount * (line.subtotal / base));
+        line.discount = roundMoney(line.discount + share);
+        left = roundMoney(left - share);
+    });
+}
+
+// Prices a basket of { product_id, sku, quantity } items at current (sale)
+// prices and applies the coupon when one is given and usable. Products with
+// variants are sold per SKU: a variant's own price replaces the product's and
+// its stock is what counts. Only lines with the status "ok" count towards the
+// totals, as in the cart.
+// Resolves to { quote, coupon }: the response body and the applied coupon, if any.
+async function buildQuote({ items, couponCode, userId, now = new Date() }) {
+    // Merge repeated products (and variants) into a single line
+    const quantities = new Map();
+    items.forEach((item) => {
+        const key = `${item.product_id}:${item.sku || ''}`;
+        const line = quantities.get(key) || { productId: String(item.product_id), sku: item.sku || null, quantity: 0 };
+        line.quantity += item.quantity;
+        quantities.set(key, line);
+    });
+
+    const productIds = [...new Set([...quantities.values()].map((line) => line.productId))];
+    const products = await Product.find({ _id: { $in: productIds } })
+        .select('name price sale_price sale_starts_at sale_ends_at quantity thumbnail_image category_id variants.sku variants.price variants.quantity');
+    const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+    const lines = [...quantities.values()].map(({ productId, sku, quantity }) => {
+        const product = productsById.get(productId);
+        const variant = product && sku ? product.variants.find((entry) => entry.sku === sku) : null;
+        if (!product || (sku && !variant)) {
+            return {
+                product_id: productId,
+                sku,
+                name: product ? product.name : null,
+                quantity,
+                status: 'unavailable',
+                subtotal: 0,
+                discount: 0,
+                line_total: 0
+            };
+        }
+
+        const available = variant ? variant.quantity : product.quantity;
+        const hasOwnPrice = variant && variant.price !== undefined && variant.price !== null;
+        const unitPrice = hasOwnPrice ? variant.price : product.getCurrentPrice(now);
+        let status = available >= quantity ? 'ok' : 'insufficient_stock';
+        // The product's stock is the sum of its variants', so one of them has to be picked
+        if (product.variants.length && !variant) status = 'sku_required';
+
+        return {
+            product_id: product._id,
+            sku,
+            category_id: product.category_id,
+            name: product.name,
+            thumbnail_image: product.thumbnail_image,
+            quantity,
+            available_quantity: available,
+            regular_price: hasOwnPrice ? variant.price : product.price,
+            unit_price: unitPrice,
+            on_sale: !hasOwnPrice && product.isOnSale(now),
+            status,
+            subtotal: roundMoney(unitPrice * quantity),
+            discount: 0,
+            line_total: 0
+        };
+    });
+
+    const pricedLines = lines.filter((line) => line.status === 'ok');
+    const subtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.subtotal, 0));
+    const regularSubtotal = pricedLines.reduce((sum, line) => sum + line.regular_price * line.quantity, 0);
+
+    const discounts = [];
+    const rejectedDiscounts = [];
+    let coupon = null;
+
+    if (couponCode) {
+        const found = await Coupon.findByCode(couponCode);
+        const code = found ? found.code : String(couponCode).trim().toUpperCase();
+        const reason = found ? await checkCoupon(found, { userId, subtotal, now }) : 'COUPON_NOT_FOUND';
+        const eligible = reason ? [] : await eligibleLines(found, pricedLines);
+
+        if (reason) {
+            rejectedDiscounts.push(couponRejection(code, reason));
+        } else if (!eligible.length) {
+            rejectedDiscounts.push(couponRejection(code, 'COUPON_NOT_APPLICABLE'));
+        } else {
+            const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.subtotal, 0);
+            let amount = found.type === 'percentage'
+                ? eligibleSubtotal * (found.value / 100)
+                : found.value;
+            if (found.type === 'percentage' && found.max_discount !== null) {
+                amount = Math.min(amount, found.max_discount);
+            }
+            amount = roundMoney(Math.min(amount, eligibleSubtotal));
+
+            allocateDiscount(amount, eligible);
+            discounts.push({ type: 'coupon', code, description: found.description, amount });
+            coupon = found;
+        }
+    }
+
+    pricedLines.forEach((line) => {
+        line.line_total = roundMoney(line.subtotal - line.discount);
+    });
+    const discountTotal = roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+    return {
+        quote: {
+            items: lines,
+            itemCount: pricedLines.reduce((sum, line) => sum + line.quantity, 0),
+            subtotal,
+            saleSavings: roundMoney(regularSubtotal - subtotal),
+            discounts,
+            discountTotal,
+            total: roundMoney(subtotal - discountTotal),
+            rejectedDiscounts,
+            hasIssues: lines.some((line) => line.status !== 'ok')
+        },
+        coupon
+    };
+}
+
+module.exports = {
+    COUPON_MESSAGES,
+    roundMoney,
+    buildQuote
+};
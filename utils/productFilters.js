@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Category = require('../models/category');
+const { OPTION_NAME_PATTERN } = require('../validators/product.validators');
+
+// Builds the MongoDB filters for the product listing query-string filters
+// (q, name, category, includeSubcategories, minPrice, maxPrice, inStock, options).
+async function buildProductFilters(params) {
+    const search = params.q && params.q.trim();
+    const filterName = params.name;
+    const filterCategory = params.category;
+    const includeSubcategories = params.includeSubcategories === 'true';
+
+    // Filters are kept apart so each facet can ignore its own filter
+    // (the category facet lists every category the other filters allow).
+    // Values are cast up front because aggregate() doesn't cast like find() does.
+    const baseFilter = {};
+    let categoryFilter = {};
+    let priceFilter = {};
+
+    if (search) {
+        baseFilter.$text = { $search: search };
+    }
+
+    if (filterName) {
+        baseFilter.name = { $regex: filterName, $options: 'i' };
+    }
+
+    if (params.inStock !== undefined) {
+        baseFilter.quantity = params.inStock === 'true' ? { $gt: 0 } : { $lte: 0 };
+    }
+
+    if (filterCategory) {
+        const categoryId = new mongoose.Types.ObjectId(filterCategory);
+        if (includeSubcategories) {
+            const descendantIds = await Category.getDescendantIds(categoryId);
+            categoryFilter = { category_id: { $in: [categoryId, ...descendantIds] } };
+        } else {
+            categoryFilter = { category_id: categoryId };
+        }
+    }
+
+    if (params.minPrice !== undefined || params.maxPrice !== undefined) {
+        priceFilter = { price: {} };
+        if (params.minPrice !== undefined) priceFilter.price.$gte = parseFloat(params.minPrice);
+        if (params.maxPrice !== undefined) priceFilter.price.$lte = parseFloat(params.maxPrice);
+    }
+
+    // Option filters, e.g. ?options[Size]=M&options[Colour]=Red, match
+    // products having one variant with all of those values
+    const filterOptions = params.options;
+    if (filterOptions && typeof filterOptions === 'object') {
+        const variantMatch = {};
+        Object.entries(filterOptions).forEach(([name, value]) => {
+            if (OPTION_NAME_PATTERN.test(name) && typeof value === 'string') {
+                variantMatch[`options.${name}`] = value;
+            }
+        });
+        if (Object.keys(variantMatch).length) {
+            baseFilter.variants = { $elemMatch: variantMatch };
+        }
+    }
+
+    return { baseFilter, categoryFilter, priceFilter };
+}
+
+module.exports = { buildProductFilters };
@@ -0,0 +1,129 @@
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const { fieldErrors } = require('./errors');
+const { hasPublicLiteralHost, publicLookup } = require('./publicAddress');
+
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 10000;
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const MAX_IMAGE_REDIRECTS = 3;
+
+// Several image URLs in one CSV cell are separated by "|"
+const IMAGE_URL_SEPARATOR = '|';
+
+// Turns an uploaded CSV or JSON file into a list of plain row objects.
+// The format comes from `format` when given, else from the file name/type.
+function parseImportFile(file, format) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const resolvedFormat = format
+        || (extension === '.json' || file.mimetype === 'application/json' ? 'json' : 'csv');
+    const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    let rows;
+    if (resolvedFormat === 'json') {
+        const data = JSON.parse(text);
+        rows = Array.isArray(data) ? data : data.products;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON imports must be an array of products or { "products": [...] }');
+        }
+    } else {
+        rows = parse(text, { columns: true, skip_empty_lines: true, trim: true });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+    return rows;
+}
+
+// Image URLs of a row, from an image_url cell or an images array (JSON)
+function rowImageUrls(row) {
+    if (Array.isArray(row.images)) return row.images.map(String).filter(Boolean);
+    if (!row.image_url) return [];
+    return String(row.image_url).split(IMAGE_URL_SEPARATOR).map((url) => url.trim()).filter(Boolean);
+}
+
+// Runs express-validator chains against a plain object, as if it were a
+// request body, and returns the errors keyed by field (empty when valid)
+async function validateRow(validators, row) {
+    const req = { body: row };
+    await Promise.all(validators.map((validator) => validator.run(req)));
+    return fieldErrors(validationResult(req).array());
+}
+
+// GETs an image URL, following a few redirects, and buffers at most
+// MAX_IMAGE_BYTES of it. Rejects as soon as the limit is passed.
+function downloadImage(url, redirectsLeft, deadline) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (!['http:', 'https:'].includes(target.protocol)) {
+            return reject(new Error(`${url} is not an http or https URL`));
+        }
+        if (!hasPublicLiteralHost(target)) {
+            return reject(new Error(`${url} is not a public address`));
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.get(target, { lookup: publicLookup }, (response) => {
+            const { statusCode, headers } = response;
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                if (!redirectsLeft) return reject(new Error(`${url} redirects too often`));
+                return resolve(downloadImage(new URL(headers.location, target).href, redirectsLeft - 1, deadline));
+            }
+            if (statusCode < 200 || statusCode >= 300) {
+                response.resume();
+                return reject(new Error(`Could not download ${url} (${statusCode})`));
+            }
+            const type = (headers['content-type'] || '').split(';')[0].trim();
+            if (!ALLOWED_IMAGE_TYPES.includes(type)) {
+                response.resume();
+                return reject(new Error(`${url} is not a JPEG or PNG image`));
+            }
+            const tooLarge = new Error(`${url} is larger than 2MB`);
+            if (Number(headers['content-length']) > MAX_IMAGE_BYTES) {
+                request.destroy();
+                return reject(tooLarge);
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_IMAGE_BYTES) {
+                    request.destroy();
+                    reject(tooLarge);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => resolve(Buffer.concat(chunks)));
+            response.on('error', reject);
+        });
+
+        // The deadline covers the whole download, redirects included
+        const timer = setTimeout(() => {
+            request.destroy(new Error(`Downloading ${url} timed out`));
+        }, Math.max(deadline - Date.now(), 0));
+        request.on('close', () => clearTimeout(timer));
+        request.on('error', reject);
+    });
+}
+
+// Downloads an image referenced by an import row, with the same size and
+// type limits as a direct upload. Only public hosts are fetched.
+function fetchImportImage(url) {
+    return downloadImage(url, MAX_IMAGE_REDIRECTS, Date.now() + IMAGE_FETCH_TIMEOUT_MS);
+}
+
+module.exports = {
+    IMAGE_URL_SEPARATOR,
+    parseImportFile,
+    rowImageUrls,
+    validateRow,
+    fetchImportImage
+};
@@ -0,0 +1,58 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses the server may not be made to connect to by a URL someone else
+// supplied: loopback, private, link-local, shared and reserved ranges, and
+// IPv4 mapped into IPv6
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address, family) => !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+
+// False for a URL whose host is an IP literal outside the public ranges.
+// Such hosts never go through a lookup, so requests must check them first.
+function hasPublicLiteralHost(url) {
+    const literal = url.hostname.replace(/^\[|\]$/g, '');
+    const family = net.isIP(literal);
+    return !family || isPublicAddress(literal, family);
+}
+
+// dns.lookup for outgoing requests that fails for non-public addresses. It
+// checks the address the socket will actually use, so a host can't pass a
+// check and then resolve somewhere else.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (addresses.some((entry) => !isPublicAddress(entry.address, entry.family))) {
+            return callback(new Error(`${hostname} is not a public address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// Resolves to true when every address the URL's host resolves to is public.
+// For checking a URL when it is saved; requests still go through publicLookup.
+async function isPublicUrl(value) {
+    const url = new URL(value);
+    if (!hasPublicLiteralHost(url)) return false;
+    try {
+        const addresses = await dns.promises.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true });
+        return addresses.every((entry) => isPublicAddress(entry.address, entry.family));
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    isPublicAddress,
+    hasPublicLiteralHost,
+    publicLookup,
+    isPublicUrl
+};
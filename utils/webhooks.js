@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>". Receivers recompute it with their
+// secret and compare; the timestamp lets them reject replayed requests.
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Queues the event for every active webhook subscribed to it. Only database
+// writes happen here; the worker in jobs/deliverWebhooks.js sends the requests.
+// Like audit entries, failures are logged rather than thrown.
+async function queueWebhookEvent(event, data) {
+    try {
+        const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+        if (!webhooks.length) return;
+
+        // The same id goes to every endpoint and every retry, so receivers can skip duplicates
+        const payload = {
+            id: String(new mongoose.Types.ObjectId()),
+            event,
+            created_at: new Date().toISOString(),
+            data
+        };
+        await WebhookDelivery.insertMany(webhooks.map((webhook) => ({
+            webhook_id: webhook._id,
+            event,
+            payload
+        })));
+    } catch (error) {
+        console.error(`Error queueing webhook event ${event}:`, error);
+    }
+}
+
+// product.created, product.updated, ... with the product as it is now
+function queueProductEvent(event, product) {
+    const snapshot = JSON.parse(JSON.stringify(product.toJSON({ depopulate: true })));
+    return queueWebhookEvent(event, { product: snapshot });
+}
+
+module.exports = {
+    signPayload,
+    queueWebhookEvent,
+    queueProductEvent
+};
@@ -0,0 +1,47 @@
+const { query } = require('express-validator');
+
+const validateTrashList = [
+    query('type').optional()
+        .isIn(['product', 'category']).withMessage('type must be product or category'),
+];
+
+const validateAuditList = [
+    query('entity').optional()
+        .isIn(['product', 'category', 'coupon', 'webhook', 'review', 'order'])
+        .withMessage('entity must be product, category, coupon, webhook, review or order'),
+    query('entityId').optional()
+        .isMongoId().withMessage('Invalid entity ID'),
+    query('user').optional()
+        .isMongoId().withMessage('Invalid user ID'),
+    query('action').optional()
+        .isIn(['create', 'update', 'delete', 'restore']).withMessage('action must be create, update, delete or restore'),
+    query('from').optional()
+        .isISO8601().withMessage('from must be a date'),
+    query('to').optional()
+        .isISO8601().withMessage('to must be a date'),
+];
+
+// Longest range the per-day series may cover
+const MAX_STATS_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const validateStats = [
+    // `to` defaults to today
+    query('from').optional()
+        .isISO8601().withMessage('from must be a date')
+        .bail()
+        .custom((value, { req }) => {
+            const days = (new Date(req.query.to || Date.now()) - new Date(value)) / DAY_MS;
+            if (days < 0) throw new Error('from must not be after to');
+            if (days >= MAX_STATS_DAYS) throw new Error(`The range can cover at most ${MAX_STATS_DAYS} days`);
+            return true;
+        }),
+    query('to').optional()
+        .isISO8601().withMessage('to must be a date'),
+];
+
+module.exports = {
+    validateTrashList,
+    validateAuditList,
+    validateStats
+};
@@ -0,0 +1,29 @@
+const { body } = require('express-validator');
+
+const validateuser = [
+    body('email').notEmpty().withMessage('email is required')
+        .isString().withMessage('email must be a string')
+        .trim()
+        .isEmail().withMessage('email must be a valid email address'),
+    body('password').notEmpty().withMessage('password is required')
+        .isString().withMessage('password must be a string'),
+];
+
+const validateRegistration = [
+    body('email').trim().notEmpty().withMessage('email is required')
+        .isEmail().withMessage('email must be a valid email address'),
+    body('password').notEmpty().withMessage('password is required')
+        .isString().withMessage('password must be a string')
+        .isLength({ min: 8 }).withMessage('password must be at least 8 characters'),
+];
+
+const validateRefreshToken = [
+    body('refreshToken').notEmpty().withMessage('refreshToken is required')
+        .isString().withMessage('refreshToken must be a string'),
+];
+
+module.exports = {
+    validateuser,
+    validateRegistration,
+    validateRefreshToken
+};
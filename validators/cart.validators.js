@@ -0,0 +1,21 @@
+const { body, param } = require('express-validator');
+
+const validateCartItem = [
+    body('product_id').notEmpty().withMessage('Product ID is required')
+        .isMongoId().withMessage('Invalid product ID'),
+    body('quantity').optional()
+        .isInt({ min: 1, max: 1000 }).withMessage('Quantity must be between 1 and 1000')
+        .toInt(),
+];
+
+const validateCartItemUpdate = [
+    param('productId').isMongoId().withMessage('Invalid product ID'),
+    body('quantity').notEmpty().withMessage('Quantity is required')
+        .isInt({ min: 1, max: 1000 }).withMessage('Quantity must be between 1 and 1000')
+        .toInt(),
+];
+
+module.exports = {
+    validateCartItem,
+    validateCartItemUpdate
+};
@@ -0,0 +1,56 @@
+const { body, param, query } = require('express-validator');
+const Category = require('../models/category');
+
+// Fields GET /api/categories may sort on
+const CATEGORY_SORT_FIELDS = ['name', 'createdAt'];
+
+const validateCategoryList = [
+    query('sortField').optional()
+        .isIn(CATEGORY_SORT_FIELDS).withMessage(`sortField must be one of ${CATEGORY_SORT_FIELDS.join(', ')}`),
+    query('sortOrder').optional()
+        .isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc'),
+    query('pagination').optional()
+        .isIn(['page', 'cursor']).withMessage('pagination must be page or cursor'),
+    query('cursor').optional()
+        .isString().withMessage('Invalid cursor'),
+];
+
+const validateCategory = [
+    body('name').trim().notEmpty().withMessage('Category name is required')
+        .isLength({ max: 100 }).withMessage('Category name must be at most 100 characters'),
+    body('description').optional()
+        .isString().withMessage('Description must be a string'),
+    body('parent_id').optional({ values: 'null' })
+        .isMongoId().withMessage('Invalid parent category ID')
+        .custom(async (value) => {
+            const parent = await Category.findById(value);
+            if (!parent) {
+                throw new Error('Parent category not found');
+            }
+            return true;
+        }),
+];
+
+const validateCategoryUpdate = [
+    param('id').isMongoId().withMessage('Invalid category ID'),
+    body('name').optional().trim()
+        .notEmpty().withMessage('Category name cannot be empty')
+        .isLength({ max: 100 }).withMessage('Category name must be at most 100 characters'),
+    body('description').optional()
+        .isString().withMessage('Description must be a string'),
+    body('parent_id').optional({ values: 'null' })
+        .isMongoId().withMessage('Invalid parent category ID')
+        .custom(async (value) => {
+            const parent = await Category.findById(value);
+            if (!parent) {
+                throw new Error('Parent category not found');
+            }
+            return true;
+        }),
+];
+
+module.exports = {
+    validateCategoryList,
+    validateCategory,
+    validateCategoryUpdate
+};
@@ -0,0 +1,79 @@
+const { body, param, query } = require('express-validator');
+const Coupon = require('../models/coupon');
+
+const couponFields = (required) => {
+    const field = (name) => (required ? body(name) : body(name).optional());
+    return [
+        field('code').notEmpty().withMessage('Code is required')
+            .isString().withMessage('Code must be a string')
+            .trim()
+            .matches(/^[A-Za-z0-9_-]{3,50}$/).withMessage('Code must be 3-50 letters, digits, _ or -'),
+        field('type').notEmpty().withMessage('Type is required')
+            .isIn(Coupon.TYPES).withMessage(`Type must be one of ${Coupon.TYPES.join(', ')}`),
+        field('value').notEmpty().withMessage('Value is required')
+            .isFloat({ min: 0 }).withMessage('Value must be a positive number')
+            .toFloat(),
+        body('description').optional()
+            .isString().withMessage('Description must be a string'),
+        body('maxDiscount').optional({ values: 'null' })
+            .isFloat({ min: 0 }).withMessage('maxDiscount must be a positive number')
+            .toFloat(),
+        body('minOrderValue').optional()
+            .isFloat({ min: 0 }).withMessage('minOrderValue must be a positive number')
+            .toFloat(),
+        body('productIds').optional()
+            .isArray().withMessage('productIds must be a list'),
+        body('productIds.*').isMongoId().withMessage('Invalid product ID'),
+        body('categoryIds').optional()
+            .isArray().withMessage('categoryIds must be a list'),
+        body('categoryIds.*').isMongoId().withMessage('Invalid category ID'),
+        body('startsAt').optional({ values: 'null' })
+            .isISO8601().withMessage('startsAt must be a date'),
+        body('endsAt').optional({ values: 'null' })
+            .isISO8601().withMessage('endsAt must be a date'),
+        body('active').optional()
+            .isBoolean().withMessage('active must be true or false')
+            .toBoolean(),
+        body('usageLimit').optional({ values: 'null' })
+            .isInt({ min: 1 }).withMessage('usageLimit must be a positive whole number')
+            .toInt(),
+        body('usageLimitPerUser').optional({ values: 'null' })
+            .isInt({ min: 1 }).withMessage('usageLimitPerUser must be a positive whole number')
+            .toInt(),
+    ];
+};
+
+const validateCoupon = couponFields(true);
+
+const validateCouponUpdate = [
+    param('id').isMongoId().withMessage('Invalid coupon ID'),
+    ...couponFields(false),
+];
+
+const validateCouponList = [
+    query('active').optional()
+        .isBoolean().withMessage('active must be true or false'),
+    query('code').optional()
+        .isString().withMessage('Code must be a string'),
+];
+
+const validateQuote = [
+    body('items').isArray({ min: 1, max: 100 }).withMessage('Items must be a non-empty list'),
+    body('items.*.product_id').isMongoId().withMessage('Invalid product ID'),
+    body('items.*.sku').optional({ values: 'null' })
+        .isString().withMessage('SKU must be a string')
+        .trim()
+        .notEmpty().withMessage('SKU must not be empty'),
+    body('items.*.quantity').isInt({ min: 1, max: 1000 }).withMessage('Quantity must be between 1 and 1000')
+        .toInt(),
+    body('couponCode').optional({ values: 'falsy' })
+        .isString().withMessage('Coupon code must be a string')
+        .isLength({ max: 50 }).withMessage('Coupon code must be at most 50 characters'),
+];
+
+module.exports = {
+    validateCoupon,
+    validateCouponUpdate,
+    validateCouponList,
+    validateQuote
+};
@@ -0,0 +1,67 @@
+const { body, param, query } = require('express-validator');
+const StockMovement = require('../models/stockMovement');
+
+const stockChange = [
+    param('productId').isMongoId().withMessage('Invalid product ID'),
+    body('sku').optional()
+        .isString().withMessage('SKU must be a string')
+        .trim(),
+    body('reference').optional()
+        .isString().withMessage('Reference must be a string')
+        .isLength({ max: 200 }).withMessage('Reference must be at most 200 characters'),
+];
+
+const validateStockReceipt = [
+    ...stockChange,
+    body('quantity').notEmpty().withMessage('Quantity is required')
+        .isInt({ min: 1, max: 99999 }).withMessage('Quantity must be between 1 and 99999')
+        .toInt(),
+    body('reason').optional()
+        .isString().withMessage('Reason must be a string'),
+];
+
+const validateStockAdjustment = [
+    ...stockChange,
+    body('delta').notEmpty().withMessage('Delta is required')
+        .isInt({ min: -99999, max: 99999 }).withMessage('Delta must be a whole number')
+        .toInt()
+        // Checked after the conversion so '-0' and '00' are caught too
+        .custom((value) => value !== 0).withMessage('Delta cannot be zero'),
+    // Adjustments are corrections, so say why
+    body('reason').trim().notEmpty().withMessage('Reason is required')
+        .isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+];
+
+const validateThreshold = [
+    param('productId').isMongoId().withMessage('Invalid product ID'),
+    // null goes back to the default threshold
+    body('threshold')
+        .custom((value) => value === null || (Number.isInteger(value) && value >= 0 && value <= 99999))
+        .withMessage('Threshold must be a whole number of at least 0, or null'),
+];
+
+const validateMovementList = [
+    query('product').optional()
+        .isMongoId().withMessage('Invalid product ID'),
+    query('type').optional()
+        .isIn(StockMovement.TYPES).withMessage(`type must be one of ${StockMovement.TYPES.join(', ')}`),
+    query('user').optional()
+        .isMongoId().withMessage('Invalid user ID'),
+    query('from').optional()
+        .isISO8601().withMessage('from must be a date'),
+    query('to').optional()
+        .isISO8601().withMessage('to must be a date'),
+];
+
+const validateLowStockList = [
+    query('category').optional()
+        .isMongoId().withMessage('Invalid category ID'),
+];
+
+module.exports = {
+    validateStockReceipt,
+    validateStockAdjustment,
+    validateThreshold,
+    validateMovementList,
+    validateLowStockList
+};
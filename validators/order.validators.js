@@ -0,0 +1,47 @@
+const { body, param, query } = require('express-validator');
+const Order = require('../models/order');
+
+const validateCheckout = [
+    body('items').isArray({ min: 1, max: 100 }).withMessage('Items must be a non-empty list'),
+    body('items.*.product_id').isMongoId().withMessage('Invalid product ID'),
+    body('items.*.sku').optional({ values: 'null' })
+        .isString().withMessage('SKU must be a string')
+        .trim()
+        .notEmpty().withMessage('SKU must not be empty'),
+    body('items.*.quantity').isInt({ min: 1, max: 1000 }).withMessage('Quantity must be between 1 and 1000')
+        .toInt(),
+    body('couponCode').optional({ values: 'falsy' })
+        .isString().withMessage('Coupon code must be a string')
+        .isLength({ max: 50 }).withMessage('Coupon code must be at most 50 characters'),
+];
+
+const validateOrderList = [
+    query('status').optional()
+        .isIn(Order.STATUSES).withMessage(`Status must be one of ${Order.STATUSES.join(', ')}`),
+];
+
+const validateAdminOrderList = [
+    query('status').optional()
+        .isIn(Order.STATUSES).withMessage(`Status must be one of ${Order.STATUSES.join(', ')}`),
+    query('user').optional()
+        .isMongoId().withMessage('Invalid user ID'),
+    query('from').optional()
+        .isISO8601().withMessage('from must be a date'),
+    query('to').optional()
+        .isISO8601().withMessage('to must be a date'),
+];
+
+const validateOrderStatus = [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    body('status').notEmpty().withMessage('Status is required')
+        .isIn(Order.STATUSES).withMessage(`Status must be one of ${Order.STATUSES.join(', ')}`),
+    body('note').optional()
+        .isString().withMessage('Note must be a string'),
+];
+
+module.exports = {
+    validateCheckout,
+    validateOrderList,
+    validateAdminOrderList,
+    validateOrderStatus
+};
@@ -0,0 +1,141 @@
+const { body, param, query } = require('express-validator');
+const Category = require('../models/category');
+
+// Variant option names end up in query paths, so no dots or leading $
+const OPTION_NAME_PATTERN = /^[^.$][^.]*$/;
+
+const validateProduct = [
+    body('name').notEmpty().withMessage('Product name is required'),
+    body('title').notEmpty().withMessage('Product title is required'),
+    body('description').notEmpty().withMessage('Product description is required'),
+    body('category_id').notEmpty().withMessage('Category ID is required')
+        .isMongoId().withMessage('Invalid category ID')
+        .custom(async (value) => {
+            const category = await Category.findById(value);
+            if (!category) {
+                throw new Error('Category not found');
+            }
+            return true;
+        }),
+    body('price').notEmpty().withMessage('Price is required')
+        .isNumeric().withMessage('Price must be a number')
+        .isLength({ max: 5 }).withMessage('Price must be less than 100000'),
+    body('quantity').notEmpty().withMessage('Quantity is required')
+        .isNumeric().withMessage('Quantity must be a number')
+        .isLength({ max: 5 }).withMessage('Quantity must be less than 100000'),
+];
+
+// Fields GET /api/products may sort on; "relevance" needs a search term,
+// "rating" is the average review rating (unrated products sort lowest)
+const PRODUCT_SORT_FIELDS = ['createdAt', 'name', 'price', 'quantity', 'rating', 'relevance'];
+
+const validateProductList = [
+    query('q').optional()
+        .isString().withMessage('Search must be a string')
+        .isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
+    query('category').optional()
+        .isMongoId().withMessage('Invalid category ID'),
+    query('minPrice').optional()
+        .isFloat({ min: 0 }).withMessage('minPrice must be a positive number'),
+    query('maxPrice').optional()
+        .isFloat({ min: 0 }).withMessage('maxPrice must be a positive number'),
+    query('inStock').optional()
+        .isBoolean().withMessage('inStock must be true or false'),
+    query('sortField').optional()
+        .isIn(PRODUCT_SORT_FIELDS).withMessage(`sortField must be one of ${PRODUCT_SORT_FIELDS.join(', ')}`),
+    query('sortOrder').optional()
+        .isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc'),
+    query('pagination').optional()
+        .isIn(['page', 'cursor']).withMessage('pagination must be page or cursor'),
+    query('cursor').optional()
+        .isString().withMessage('Invalid cursor'),
+];
+
+const validateImport = [
+    query('mode').optional()
+        .isIn(['create', 'upsert']).withMessage('mode must be create or upsert'),
+    query('dryRun').optional()
+        .isBoolean().withMessage('dryRun must be true or false'),
+    query('format').optional()
+        .isIn(['csv', 'json']).withMessage('format must be csv or json'),
+];
+
+// Validation middleware for update
+const validateProductUpdate = [
+    body('name').optional(),
+    body('title').optional(),
+    body('description').optional(),
+    body('category_id').optional()
+        .isMongoId().withMessage('Invalid category ID')
+        .custom(async (value) => {
+            if (!value) return true;
+            const category = await Category.findById(value);
+            if (!category) {
+                throw new Error('Category not found');
+            }
+            return true;
+        }),
+    body('price').optional()
+        .isNumeric().withMessage('Price must be a number')
+        .isLength({ max: 5 }).withMessage('Price must be less than 100000'),
+    body('quantity').optional()
+        .isNumeric().withMessage('Quantity must be a number')
+        .isLength({ max: 5 }).withMessage('Quantity must be less than 100000'),
+]
+
+const validateProductVariants = [
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    body('options').isArray().withMessage('Options must be a list'),
+    body('options.*.name').trim().notEmpty().withMessage('Option name is required')
+        .matches(OPTION_NAME_PATTERN).withMessage('Option names cannot contain "." or start with "$"'),
+    body('options.*.values').isArray({ min: 1 }).withMessage('Each option needs at least one value'),
+    body('options.*.values.*').isString().trim().notEmpty().withMessage('Option values must be non-empty strings'),
+    body('variants').isArray().withMessage('Variants must be a list'),
+    body('variants.*.sku').trim().notEmpty().withMessage('SKU is required')
+        .matches(/^[A-Za-z0-9._-]+$/).withMessage('SKU may only contain letters, digits, ".", "_" and "-"'),
+    body('variants.*.options').optional()
+        .isObject().withMessage('Variant options must be an object of option name to value'),
+    body('variants.*.price').optional({ values: 'null' })
+        .isFloat({ min: 0, max: 99999 }).withMessage('Price must be between 0 and 99999')
+        .toFloat(),
+    body('variants.*.quantity').notEmpty().withMessage('Quantity is required')
+        .isInt({ min: 0, max: 99999 }).withMessage('Quantity must be between 0 and 99999')
+        .toInt(),
+    body('variants.*.image_id').optional({ values: 'null' })
+        .isMongoId().withMessage('Invalid image ID'),
+];
+
+const validateProductSale = [
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    body('salePrice').notEmpty().withMessage('Sale price is required')
+        .isFloat({ min: 0, max: 99999 }).withMessage('Sale price must be between 0 and 99999')
+        .toFloat(),
+    body('startsAt').optional({ values: 'null' })
+        .isISO8601().withMessage('startsAt must be a date'),
+    body('endsAt').optional({ values: 'null' })
+        .isISO8601().withMessage('endsAt must be a date'),
+];
+
+const validateImageOrder = [
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    body('order').isArray({ min: 1 }).withMessage('Order must be a list of image IDs'),
+    body('order.*').isMongoId().withMessage('Invalid image ID'),
+];
+
+const validateRegenerate = [
+    // Each product is re-rendered within the request, so batches stay small
+    body('productIds').isArray({ min: 1, max: 50 }).withMessage('productIds must list 1 to 50 products'),
+    body('productIds.*').isMongoId().withMessage('Invalid product ID'),
+];
+
+module.exports = {
+    OPTION_NAME_PATTERN,
+    validateProduct,
+    validateProductList,
+    validateImport,
+    validateProductUpdate,
+    validateProductVariants,
+    validateProductSale,
+    validateImageOrder,
+    validateRegenerate
+};
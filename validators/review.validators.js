@@ -0,0 +1,73 @@
+const { body, param, query } = require('express-validator');
+const Review = require('../models/review');
+
+const REVIEW_SORT_FIELDS = ['createdAt', 'rating'];
+
+const reviewText = [
+    body('title').optional({ values: 'null' })
+        .isString().withMessage('Title must be a string')
+        .trim()
+        .isLength({ max: 120 }).withMessage('Title must be at most 120 characters'),
+    body('body').optional({ values: 'null' })
+        .isString().withMessage('Body must be a string')
+        .trim()
+        .isLength({ max: 5000 }).withMessage('Body must be at most 5000 characters'),
+    body('authorName').optional({ values: 'null' })
+        .isString().withMessage('Author name must be a string')
+        .trim()
+        .isLength({ max: 50 }).withMessage('Author name must be at most 50 characters'),
+];
+
+const validateReview = [
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    body('rating').notEmpty().withMessage('Rating is required')
+        .isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5')
+        .toInt(),
+    ...reviewText,
+];
+
+const validateReviewUpdate = [
+    param('id').isMongoId().withMessage('Invalid review ID'),
+    body('rating').optional()
+        .isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5')
+        .toInt(),
+    ...reviewText,
+];
+
+const validateReviewList = [
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    query('rating').optional()
+        .isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+    query('verified').optional()
+        .isBoolean().withMessage('verified must be true or false'),
+    query('sortField').optional()
+        .isIn(REVIEW_SORT_FIELDS).withMessage(`sortField must be one of ${REVIEW_SORT_FIELDS.join(', ')}`),
+    query('sortOrder').optional()
+        .isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc'),
+];
+
+const validateAdminReviewList = [
+    query('status').optional()
+        .isIn(Review.STATUSES).withMessage(`Status must be one of ${Review.STATUSES.join(', ')}`),
+    query('product').optional()
+        .isMongoId().withMessage('Invalid product ID'),
+    query('user').optional()
+        .isMongoId().withMessage('Invalid user ID'),
+];
+
+const validateReviewStatus = [
+    param('id').isMongoId().withMessage('Invalid review ID'),
+    body('status').notEmpty().withMessage('Status is required')
+        .isIn(Review.STATUSES).withMessage(`Status must be one of ${Review.STATUSES.join(', ')}`),
+    body('note').optional()
+        .isString().withMessage('Note must be a string'),
+];
+
+module.exports = {
+    REVIEW_SORT_FIELDS,
+    validateReview,
+    validateReviewUpdate,
+    validateReviewList,
+    validateAdminReviewList,
+    validateReviewStatus
+};
@@ -0,0 +1,12 @@
+const { body } = require('express-validator');
+
+const validatePasswordChange = [
+    body('currentPassword').notEmpty().withMessage('currentPassword is required'),
+    body('newPassword').notEmpty().withMessage('newPassword is required')
+        .isString().withMessage('newPassword must be a string')
+        .isLength({ min: 8 }).withMessage('newPassword must be at least 8 characters'),
+];
+
+module.exports = {
+    validatePasswordChange
+};
@@ -0,0 +1,54 @@
+const { body, param, query } = require('express-validator');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const webhookConfig = require('../config/webhooks');
+const { isPublicUrl } = require('../utils/publicAddress');
+
+const webhookFields = (required) => {
+    const field = (name) => (required ? body(name) : body(name).optional());
+    return [
+        field('url').notEmpty().withMessage('URL is required')
+            .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+            .withMessage('URL must be an http or https address')
+            .bail()
+            .custom(async (url) => {
+                if (!webhookConfig.allowPrivateUrls && !(await isPublicUrl(url))) {
+                    throw new Error('URL must resolve to a public address');
+                }
+            }),
+        field('events').isArray({ min: 1 }).withMessage('Events must be a non-empty list'),
+        body('events.*').isIn(Webhook.EVENTS).withMessage(`Events must be among ${Webhook.EVENTS.join(', ')}`),
+        body('description').optional()
+            .isString().withMessage('Description must be a string'),
+        body('active').optional()
+            .isBoolean().withMessage('active must be true or false')
+            .toBoolean(),
+    ];
+};
+
+const validateWebhook = webhookFields(true);
+
+const validateWebhookUpdate = [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    ...webhookFields(false),
+];
+
+const validateDeliveryList = [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    query('status').optional()
+        .isIn(WebhookDelivery.STATUSES).withMessage(`Status must be one of ${WebhookDelivery.STATUSES.join(', ')}`),
+    query('event').optional()
+        .isIn(Webhook.EVENTS).withMessage(`Event must be one of ${Webhook.EVENTS.join(', ')}`),
+];
+
+const validateRedelivery = [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    param('deliveryId').isMongoId().withMessage('Invalid delivery ID'),
+];
+
+module.exports = {
+    validateWebhook,
+    validateWebhookUpdate,
+    validateDeliveryList,
+    validateRedelivery
+};